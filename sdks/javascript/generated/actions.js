@@ -0,0 +1,16 @@
+// AUTO-GENERATED FILE. DO NOT EDIT.
+// Source: config/specs/asyncapi.yaml (info.version: 3.2.3)
+
+// Superpower actions (MessageEnvelope headers.action) and the payload rules the spec attaches to
+// them (dot-separated paths relative to the request params)
+export const SPEC_ACTIONS = Object.freeze({
+    adjust: { required: [], nonEmptyArrays: ['request.scope.conversations'] },
+    elevate: { required: [], nonEmptyArrays: ['request.scope.conversations'] },
+    customerinteraction: { required: [], nonEmptyArrays: ['request.scope.conversations'] },
+    interaction: { required: [], nonEmptyArrays: ['request.scope.conversations'] },
+    reception: { required: [], nonEmptyArrays: [] },
+    summarize: { required: [], nonEmptyArrays: ['request.scope.conversations'] },
+    translate: { required: [], nonEmptyArrays: ['request.scope.conversations'] },
+    recommend: { required: [], nonEmptyArrays: ['request.scope.conversations'] },
+    insights: { required: [], nonEmptyArrays: ['request.scope.conversations'] }
+});
@@ -0,0 +1,305 @@
+// AUTO-GENERATED FILE. DO NOT EDIT.
+// Source: config/specs/asyncapi.yaml (info.version: 3.2.3)
+
+// Value accepted by each payload builder setter
+export interface BuilderSetterValues {
+  /** session */
+  session: {
+    sessionId?: string;
+    channel?: {
+      browser?: string;
+      deviceInfo?: string;
+      deviceType?: string;
+      language?: string;
+      location?: string;
+      medium?: "chat" | "voice" | "email";
+      metadata?: Array<unknown>;
+      section?: string;
+    };
+    interface?: {
+      appVersion?: string;
+      category?: string;
+      language?: string;
+      name?: string;
+      type?: string;
+    };
+  };
+  /** request.requestId */
+  requestId: string;
+  /** request.attributes */
+  attributes: {
+    content?: string;
+    instruction?: string;
+    variant?: string;
+  };
+  /** request.connections */
+  connections: {
+    journeyId?: string;
+    parentId?: string;
+    threadId?: string;
+  };
+  /** request.context */
+  context: {
+    caseId?: string;
+    departmentId?: string;
+    operatorId?: string;
+    organizationId?: string;
+    userId?: string;
+  };
+  /** request.reference */
+  reference: {
+    ids?: Array<{
+      name?: string;
+      value?: string;
+    }>;
+    labels?: Array<unknown>;
+    tags?: Array<unknown>;
+  };
+  /** request.resources */
+  resources: {
+    codes?: Array<{
+      id?: string;
+      label?: string;
+      type?: string;
+      value?: string;
+    }>;
+    links?: Array<{
+      expires_at?: string;
+      html?: boolean;
+      id?: string;
+      label?: string;
+      type?: string;
+      url?: string;
+    }>;
+    offers?: Array<unknown>;
+  };
+  /** request.scope */
+  scope: {
+    accounts?: Array<unknown>;
+    appointments?: Array<unknown>;
+    assets?: Array<unknown>;
+    bookings?: Array<unknown>;
+    cases?: Array<unknown>;
+    conversations?: Array<{
+      conversationId?: string;
+      participants?: Array<{
+        participantId?: string;
+        displayName?: string;
+        role?: "operator" | "user" | "bot";
+      }>;
+      messages?: Array<{
+        content?: string;
+        participantId?: string;
+        timestamp?: string;
+      }>;
+      metadata?: Record<string, unknown>;
+    }>;
+    documents?: Array<unknown>;
+    events?: Array<unknown>;
+    interactions?: Array<{
+      content?: string;
+      id?: string;
+      name?: string;
+      role?: string;
+      timestamp?: string;
+    }>;
+    items?: Array<unknown>;
+    locations?: Array<unknown>;
+    offers?: Array<unknown>;
+    operators?: Array<unknown>;
+    orders?: Array<unknown>;
+    organizations?: Array<unknown>;
+    persons?: Array<unknown>;
+    policies?: Array<unknown>;
+    products?: Array<{
+      id?: string;
+    }>;
+    properties?: Array<unknown>;
+    services?: Array<unknown>;
+    subscriptions?: Array<unknown>;
+    tickets?: Array<unknown>;
+    transactions?: Array<unknown>;
+    users?: Array<unknown>;
+  };
+  /** request.settings */
+  settings: {
+    disableBrowsing?: boolean;
+    disableSearch?: boolean;
+    disableSources?: boolean;
+    disableStream?: boolean;
+    disableTools?: boolean;
+    maxResponseLength?: number;
+    overrideInterfaceLanguage?: string;
+    overrideOutputLanguage?: string;
+  };
+  /** request.a2a */
+  a2a: Array<{
+    id?: string;
+    name?: string;
+    type?: string;
+  }>;
+  /** request.cursor */
+  cursor: {
+    since?: string;
+    until?: string;
+  };
+  /** session.sessionId */
+  sessionId: string;
+  /** session.channel */
+  channel: {
+    browser?: string;
+    deviceInfo?: string;
+    deviceType?: string;
+    language?: string;
+    location?: string;
+    medium?: "chat" | "voice" | "email";
+    metadata?: Array<unknown>;
+    section?: string;
+  };
+  /** session.interface */
+  interface: {
+    appVersion?: string;
+    category?: string;
+    language?: string;
+    name?: string;
+    type?: string;
+  };
+  /** request.attributes.content */
+  content: string;
+  /** request.attributes.instruction */
+  instruction: string;
+  /** request.attributes.variant */
+  variant: string;
+  /** request.connections.journeyId */
+  journeyId: string;
+  /** request.connections.parentId */
+  parentId: string;
+  /** request.connections.threadId */
+  threadId: string;
+  /** request.context.caseId */
+  caseId: string;
+  /** request.context.departmentId */
+  departmentId: string;
+  /** request.context.operatorId */
+  operatorId: string;
+  /** request.context.organizationId */
+  organizationId: string;
+  /** request.context.userId */
+  userId: string;
+  /** request.reference.ids */
+  ids: Array<{
+    name?: string;
+    value?: string;
+  }>;
+  /** request.reference.labels */
+  labels: Array<unknown>;
+  /** request.reference.tags */
+  tags: Array<unknown>;
+  /** request.resources.codes */
+  codes: Array<{
+    id?: string;
+    label?: string;
+    type?: string;
+    value?: string;
+  }>;
+  /** request.resources.links */
+  links: Array<{
+    expires_at?: string;
+    html?: boolean;
+    id?: string;
+    label?: string;
+    type?: string;
+    url?: string;
+  }>;
+  /** request.resources.offers */
+  offers: Array<unknown>;
+  /** request.scope.accounts */
+  accounts: Array<unknown>;
+  /** request.scope.appointments */
+  appointments: Array<unknown>;
+  /** request.scope.assets */
+  assets: Array<unknown>;
+  /** request.scope.bookings */
+  bookings: Array<unknown>;
+  /** request.scope.cases */
+  cases: Array<unknown>;
+  /** request.scope.conversations */
+  conversations: Array<{
+    conversationId?: string;
+    participants?: Array<{
+      participantId?: string;
+      displayName?: string;
+      role?: "operator" | "user" | "bot";
+    }>;
+    messages?: Array<{
+      content?: string;
+      participantId?: string;
+      timestamp?: string;
+    }>;
+    metadata?: Record<string, unknown>;
+  }>;
+  /** request.scope.documents */
+  documents: Array<unknown>;
+  /** request.scope.events */
+  events: Array<unknown>;
+  /** request.scope.interactions */
+  interactions: Array<{
+    content?: string;
+    id?: string;
+    name?: string;
+    role?: string;
+    timestamp?: string;
+  }>;
+  /** request.scope.items */
+  items: Array<unknown>;
+  /** request.scope.locations */
+  locations: Array<unknown>;
+  /** request.scope.operators */
+  operators: Array<unknown>;
+  /** request.scope.orders */
+  orders: Array<unknown>;
+  /** request.scope.organizations */
+  organizations: Array<unknown>;
+  /** request.scope.persons */
+  persons: Array<unknown>;
+  /** request.scope.policies */
+  policies: Array<unknown>;
+  /** request.scope.products */
+  products: Array<{
+    id?: string;
+  }>;
+  /** request.scope.properties */
+  properties: Array<unknown>;
+  /** request.scope.services */
+  services: Array<unknown>;
+  /** request.scope.subscriptions */
+  subscriptions: Array<unknown>;
+  /** request.scope.tickets */
+  tickets: Array<unknown>;
+  /** request.scope.transactions */
+  transactions: Array<unknown>;
+  /** request.scope.users */
+  users: Array<unknown>;
+  /** request.settings.disableBrowsing */
+  disableBrowsing: boolean;
+  /** request.settings.disableSearch */
+  disableSearch: boolean;
+  /** request.settings.disableSources */
+  disableSources: boolean;
+  /** request.settings.disableStream */
+  disableStream: boolean;
+  /** request.settings.disableTools */
+  disableTools: boolean;
+  /** request.settings.maxResponseLength */
+  maxResponseLength: number;
+  /** request.settings.overrideInterfaceLanguage */
+  overrideInterfaceLanguage: string;
+  /** request.settings.overrideOutputLanguage */
+  overrideOutputLanguage: string;
+  /** request.cursor.since */
+  since: string;
+  /** request.cursor.until */
+  until: string;
+}
+
+export declare const BUILDER_SETTERS: Readonly<Record<keyof BuilderSetterValues, readonly string[]>>;
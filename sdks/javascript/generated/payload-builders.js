@@ -0,0 +1,70 @@
+// AUTO-GENERATED FILE. DO NOT EDIT.
+// Source: config/specs/asyncapi.yaml (info.version: 3.2.3)
+
+// Payload builder setters: name -> path in the request params (sections and their fields)
+export const BUILDER_SETTERS = Object.freeze({
+    session: ['session'],
+    requestId: ['request', 'requestId'],
+    attributes: ['request', 'attributes'],
+    connections: ['request', 'connections'],
+    context: ['request', 'context'],
+    reference: ['request', 'reference'],
+    resources: ['request', 'resources'],
+    scope: ['request', 'scope'],
+    settings: ['request', 'settings'],
+    a2a: ['request', 'a2a'],
+    cursor: ['request', 'cursor'],
+    sessionId: ['session', 'sessionId'],
+    channel: ['session', 'channel'],
+    interface: ['session', 'interface'],
+    content: ['request', 'attributes', 'content'],
+    instruction: ['request', 'attributes', 'instruction'],
+    variant: ['request', 'attributes', 'variant'],
+    journeyId: ['request', 'connections', 'journeyId'],
+    parentId: ['request', 'connections', 'parentId'],
+    threadId: ['request', 'connections', 'threadId'],
+    caseId: ['request', 'context', 'caseId'],
+    departmentId: ['request', 'context', 'departmentId'],
+    operatorId: ['request', 'context', 'operatorId'],
+    organizationId: ['request', 'context', 'organizationId'],
+    userId: ['request', 'context', 'userId'],
+    ids: ['request', 'reference', 'ids'],
+    labels: ['request', 'reference', 'labels'],
+    tags: ['request', 'reference', 'tags'],
+    codes: ['request', 'resources', 'codes'],
+    links: ['request', 'resources', 'links'],
+    offers: ['request', 'resources', 'offers'],
+    accounts: ['request', 'scope', 'accounts'],
+    appointments: ['request', 'scope', 'appointments'],
+    assets: ['request', 'scope', 'assets'],
+    bookings: ['request', 'scope', 'bookings'],
+    cases: ['request', 'scope', 'cases'],
+    conversations: ['request', 'scope', 'conversations'],
+    documents: ['request', 'scope', 'documents'],
+    events: ['request', 'scope', 'events'],
+    interactions: ['request', 'scope', 'interactions'],
+    items: ['request', 'scope', 'items'],
+    locations: ['request', 'scope', 'locations'],
+    operators: ['request', 'scope', 'operators'],
+    orders: ['request', 'scope', 'orders'],
+    organizations: ['request', 'scope', 'organizations'],
+    persons: ['request', 'scope', 'persons'],
+    policies: ['request', 'scope', 'policies'],
+    products: ['request', 'scope', 'products'],
+    properties: ['request', 'scope', 'properties'],
+    services: ['request', 'scope', 'services'],
+    subscriptions: ['request', 'scope', 'subscriptions'],
+    tickets: ['request', 'scope', 'tickets'],
+    transactions: ['request', 'scope', 'transactions'],
+    users: ['request', 'scope', 'users'],
+    disableBrowsing: ['request', 'settings', 'disableBrowsing'],
+    disableSearch: ['request', 'settings', 'disableSearch'],
+    disableSources: ['request', 'settings', 'disableSources'],
+    disableStream: ['request', 'settings', 'disableStream'],
+    disableTools: ['request', 'settings', 'disableTools'],
+    maxResponseLength: ['request', 'settings', 'maxResponseLength'],
+    overrideInterfaceLanguage: ['request', 'settings', 'overrideInterfaceLanguage'],
+    overrideOutputLanguage: ['request', 'settings', 'overrideOutputLanguage'],
+    since: ['request', 'cursor', 'since'],
+    until: ['request', 'cursor', 'until']
+});
@@ -0,0 +1,135 @@
+/**
+ * Action registry for the Optave SDK
+ *
+ * Holds the actions an SDK instance can send together with their required-field rules.
+ * Starts from ACTION_DEFINITIONS in constants.js; `sdk.registerAction()` adds actions per instance.
+ */
+
+import { ErrorCategory, ACTION_DEFINITIONS } from './constants.js';
+import { OptaveError } from './errors.js';
+
+// Checked for every action
+const COMMON_REQUIRED = ['request.connections.threadId'];
+
+// Action names double as method names (sdk.<name>(), sdk.<name>Async())
+const ACTION_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const definitionError = message =>
+    new OptaveError({ category: ErrorCategory.VALIDATION, code: 'INVALID_ACTION_DEFINITION', message });
+
+function normalizeRules(name, rules = {}) {
+    if (typeof name !== 'string' || !ACTION_NAME_PATTERN.test(name)) {
+        throw definitionError(`Action name must be letters and digits starting with a letter, got ${JSON.stringify(name)}.`);
+    }
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw definitionError(`Rules for action '${name}' must be an object.`);
+    }
+    for (const key of ['required', 'nonEmptyArrays']) {
+        const paths = rules[key];
+        if (paths !== undefined && !(Array.isArray(paths) && paths.every(path => typeof path === 'string' && path))) {
+            throw definitionError(`rules.${key} for action '${name}' must be an array of field paths.`);
+        }
+    }
+    return {
+        required: [...(rules.required || [])],
+        nonEmptyArrays: [...(rules.nonEmptyArrays || [])],
+        deprecated: rules.deprecated === true,
+    };
+}
+
+export class ActionRegistry {
+    /**
+     * @param {Object} [definitions] - name -> rules (default: ACTION_DEFINITIONS)
+     */
+    constructor(definitions = ACTION_DEFINITIONS) {
+        this._actions = new Map();
+        for (const [name, rules] of Object.entries(definitions)) {
+            this.register(name, rules);
+        }
+    }
+
+    /**
+     * Adds an action or replaces the rules of an existing one
+     * @param {string} name
+     * @param {{ required?: string[], nonEmptyArrays?: string[], deprecated?: boolean }} [rules]
+     * @throws {OptaveError} INVALID_ACTION_DEFINITION
+     */
+    register(name, rules) {
+        this._actions.set(name, normalizeRules(name, rules));
+    }
+
+    has(name) {
+        return this._actions.has(name);
+    }
+
+    /** @returns {string[]} Every registered action, in registration order */
+    names() {
+        return [...this._actions.keys()];
+    }
+
+    /** @returns {string[]} Registered actions without the deprecated aliases */
+    currentNames() {
+        return this.names().filter(name => !this._actions.get(name).deprecated);
+    }
+
+    // Exact match first; legacy lowercase names (e.g. 'customerinteraction') match case-insensitively
+    _lookup(action) {
+        if (this._actions.has(action)) return this._actions.get(action);
+        const lower = String(action).toLowerCase();
+        const name = this.names().find(candidate => candidate.toLowerCase() === lower);
+        return name ? this._actions.get(name) : null;
+    }
+
+    /**
+     * Checks the required fields of `action` in request params. Unknown actions only get the
+     * checks common to every action.
+     * @param {Object} params
+     * @param {string} action
+     * @returns {{ isValid: boolean, errors: string[] }}
+     */
+    validate(params, action) {
+        const errors = COMMON_REQUIRED.filter(path => !getPath(params, path)).map(path => `${path} is required`);
+        const rules = this._lookup(action);
+
+        if (rules) {
+            for (const path of rules.required) {
+                if (!getPath(params, path)) {
+                    errors.push(`${path} is required for ${action}`);
+                }
+            }
+            for (const path of rules.nonEmptyArrays) {
+                const value = getPath(params, path);
+                if (!Array.isArray(value) || value.length === 0) {
+                    errors.push(`${path} is required for ${action} and must be a non-empty array`);
+                }
+            }
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+}
+
+/**
+ * Adds the `<action>(params)` and `<action>Async(params, opts)` helpers to `target`
+ * (the SDK prototype for built-in actions, an instance for registered ones)
+ * @param {Object} target
+ * @param {string} action
+ */
+export function defineActionHelpers(target, action) {
+    Object.defineProperty(target, action, {
+        configurable: true,
+        writable: true,
+        value: function (params) {
+            return this.send('message', action, params);
+        },
+    });
+    Object.defineProperty(target, `${action}Async`, {
+        configurable: true,
+        writable: true,
+        value: function (params, opts) {
+            return this._promiseSend('message', action, params, opts);
+        },
+    });
+}
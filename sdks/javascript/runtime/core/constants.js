@@ -10,6 +10,7 @@
 
 // SDK Constants (imported from generated file based on AsyncAPI spec)
 import { SPEC_VERSION, SCHEMA_REF } from '../../generated/constants.js';
+import { SPEC_ACTIONS } from '../../generated/actions.js';
 export { SPEC_VERSION, SCHEMA_REF };
 
 // Error categories
@@ -31,40 +32,126 @@ export const EVENTS = Object.freeze({
     CONNECTION_OPEN: 'connection:open',
     CONNECTION_CLOSE: 'connection:close',
     CONNECTION_ERROR: 'connection:error',
+    CONNECTION_STATE_CHANGE: 'connection:state',
     MESSAGE_RECEIVED: 'message:received',
     MESSAGE_SENT: 'message:sent',
+    RECONNECTING: 'reconnecting',
+    RECONNECTED: 'reconnected',
+    OUTBOX_REPLAYED: 'outbox:replayed',
+    TOKEN_REFRESHED: 'token:refreshed',
+    ENDPOINT_FAILOVER: 'endpoint:failover',
+    SESSION_STARTED: 'session:started',
+    SESSION_ENDED: 'session:ended',
+    PAYLOAD_FITTED: 'payload:fitted',
     ERROR: 'error',
     RESPONSE: 'response',
     LEGACY_ERROR: 'error',  // Both ERROR and LEGACY_ERROR map to 'error' for compatibility
     LEGACY_MESSAGE: 'message'  // Legacy message handling for backward compatibility
 });
 
+// Connection lifecycle states (see getState())
+export const ConnectionState = Object.freeze({
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    CLOSING: 'closing',
+    CLOSED: 'closed',
+    RECONNECTING: 'reconnecting'
+});
+
 // New events (to migrate to)
 export const InboundEvents = Object.freeze({
   SUPERPOWER_RESPONSE: 'superpower.response',
   SUPERPOWER_ERROR: 'superpower.error',
 });
 
-// Allowed SDK actions (as Set for has() method)
-export const ALLOWED_ACTIONS = new Set([
-    'adjust',
-    'elevate',
-    'interaction',
-    'reception',
-    'customerInteraction', // deprecated alias
-    'summarize',
-    'translate',
-    'recommend',
-    'insights'
-]);
+// Rule fields (dot-separated paths relative to the request params):
+// - required: paths that must hold a truthy value
+// - nonEmptyArrays: paths that must hold an array with at least one entry
+// - deprecated: alias kept for compatibility; no builder or stream helper is offered
+//
+// SDK rules on top of SPEC_ACTIONS (generated from the spec by npm run spec:actions), for fields
+// the spec leaves optional but the superpowers cannot work without
+const ACTION_OVERLAY = {
+    adjust: { required: ['request.attributes.content', 'request.attributes.instruction', 'request.connections.parentId'] },
+    elevate: { required: ['request.attributes.content', 'request.connections.parentId'] },
+    recommend: { nonEmptyArrays: ['request.resources.offers'] },
+    customerInteraction: { deprecated: true }
+};
+
+// SDK method names for spec actions spelled differently on the wire
+const ACTION_NAMES = { customerinteraction: 'customerInteraction' };
+
+const mergeRules = (spec, overlay = {}) => {
+    const rules = {};
+    for (const key of ['required', 'nonEmptyArrays']) {
+        const paths = [...(spec[key] || []), ...(overlay[key] || [])];
+        if (paths.length > 0) rules[key] = [...new Set(paths)];
+    }
+    if (overlay.deprecated) rules.deprecated = true;
+    return rules;
+};
+
+// Built-in actions and their rules; sdk.registerAction() adds more per instance
+export const ACTION_DEFINITIONS = Object.freeze(
+    Object.fromEntries(
+        Object.entries(SPEC_ACTIONS).map(([specName, rules]) => {
+            const name = ACTION_NAMES[specName] || specName;
+            return [name, mergeRules(rules, ACTION_OVERLAY[name])];
+        })
+    )
+);
+
+// Built-in SDK actions (as Set for has() method); see sdk.registerAction() for more
+export const ALLOWED_ACTIONS = new Set(Object.keys(ACTION_DEFINITIONS));
 
 // Default payload size limit (128KB)
 export const MAX_PAYLOAD_SIZE = 128 * 1024;
 export const MAX_PAYLOAD_SIZE_KB = 128;
 
+// summarizeLong(): chunk requests in flight at the same time
+export const DEFAULT_SUMMARIZE_CONCURRENCY = 3;
+
 // Default request timeout (30 seconds)
 export const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
 
+// Default timeout for the client credentials token request (10 seconds)
+export const DEFAULT_AUTH_TIMEOUT_MS = 10000;
+
+// Default reconnect backoff: base delay (1 second), capped at 30 seconds
+export const DEFAULT_RETRY_DELAY_MS = 1000;
+export const DEFAULT_RETRY_MAX_DELAY_MS = 30000;
+
+// Default capacity of the outbound queue used while connecting/reconnecting
+export const DEFAULT_QUEUE_MAX_SIZE = 100;
+
+// Default number of missed heartbeats before a connection is declared dead
+export const DEFAULT_HEARTBEAT_MAX_MISSED = 2;
+
+// Default maximum age of a durable outbox entry before it is discarded instead of replayed (24 hours)
+export const DEFAULT_OUTBOX_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Default lead time for refreshing a WebSocket token before it expires (1 minute)
+export const DEFAULT_TOKEN_REFRESH_SKEW_MS = 60000;
+
+// Default interval for checking whether the preferred WebSocket endpoint is reachable again (5 minutes)
+export const DEFAULT_FAILBACK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Default idle time after which a managed chat session ends and the next request starts a new one (30 minutes)
+export const DEFAULT_SESSION_INACTIVITY_MS = 30 * 60 * 1000;
+
+// Key the managed chat session is persisted under (sessionStorage in browsers)
+export const SESSION_STORAGE_KEY = 'optave-sdk:session';
+
+// setTimeout() overflows above 2^31-1 ms (~24.8 days); also the upper bound for duration options
+export const MAX_TIMER_DELAY_MS = 2147483647;
+
+// Close code reported when the heartbeat declares a connection dead (application range 4000-4999)
+export const HEARTBEAT_TIMEOUT_CLOSE_CODE = 4000;
+
+// session.channel fields filled by the opt-in channel metadata collector (options.channelMetadata)
+export const CHANNEL_METADATA_FIELDS = Object.freeze(['browser', 'deviceInfo', 'deviceType', 'language', 'location']);
+
 // Default configuration object - exported as named export to avoid issues with tree-shaking default exports
 export const CONSTANTS = {
     SPEC_VERSION,
@@ -72,11 +159,27 @@ export const CONSTANTS = {
     MAX_PAYLOAD_SIZE,
     MAX_PAYLOAD_SIZE_KB,
     DEFAULT_REQUEST_TIMEOUT_MS,
+    DEFAULT_AUTH_TIMEOUT_MS,
+    DEFAULT_RETRY_DELAY_MS,
+    DEFAULT_RETRY_MAX_DELAY_MS,
+    DEFAULT_QUEUE_MAX_SIZE,
+    DEFAULT_HEARTBEAT_MAX_MISSED,
+    DEFAULT_OUTBOX_MAX_AGE_MS,
+    DEFAULT_TOKEN_REFRESH_SKEW_MS,
+    DEFAULT_FAILBACK_INTERVAL_MS,
+    DEFAULT_SESSION_INACTIVITY_MS,
+    SESSION_STORAGE_KEY,
+    MAX_TIMER_DELAY_MS,
+    HEARTBEAT_TIMEOUT_CLOSE_CODE,
+    CHANNEL_METADATA_FIELDS,
+    DEFAULT_SUMMARIZE_CONCURRENCY,
     ErrorCategory,
     LegacyEvents,
     EVENTS,
     InboundEvents,
-    ALLOWED_ACTIONS
+    ConnectionState,
+    ALLOWED_ACTIONS,
+    ACTION_DEFINITIONS
 };
 
 export default CONSTANTS;
\ No newline at end of file
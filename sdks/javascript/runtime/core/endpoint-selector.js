@@ -0,0 +1,80 @@
+/**
+ * WebSocket endpoint selection for the Optave SDK
+ *
+ * `options.websocketUrl` may be a single URL, an ordered list of URLs (most preferred first)
+ * or a resolver function returning either. The selector resolves the candidates for each
+ * connection attempt and puts the endpoint that last worked at the front.
+ */
+
+export class EndpointSelector {
+    /**
+     * @param {string|string[]|Function} source - options.websocketUrl
+     */
+    constructor(source) {
+        this.source = source;
+        this.lastGood = null;   // endpoint of the last successful connection
+        this.active = null;     // endpoint of the currently open socket
+    }
+
+    /** True when websocketUrl is set at all (a resolver counts; it is checked when called) */
+    isConfigured() {
+        if (typeof this.source === 'function') return true;
+        if (Array.isArray(this.source)) return this.source.some(url => typeof url === 'string' && url);
+        return typeof this.source === 'string' && this.source.length > 0;
+    }
+
+    /**
+     * Resolves the candidate list in preference order (duplicates and empty entries removed)
+     * @returns {Promise<string[]>}
+     * @throws When the resolver function throws
+     */
+    async resolve() {
+        const resolved = typeof this.source === 'function' ? await this.source() : this.source;
+        const list = Array.isArray(resolved) ? resolved : [resolved];
+        return [...new Set(list.filter(url => typeof url === 'string' && url.length > 0))];
+    }
+
+    /**
+     * Orders candidates for a connection attempt: the last working endpoint first, then the rest
+     * in preference order
+     * @param {string[]} candidates - Output of resolve()
+     * @returns {string[]}
+     */
+    order(candidates) {
+        if (!this.lastGood || !candidates.includes(this.lastGood)) return [...candidates];
+        return [this.lastGood, ...candidates.filter(url => url !== this.lastGood)];
+    }
+
+    /**
+     * False when nothing can be failed back to: a single URL, or already on the first entry of a
+     * static list. Resolver results are only known when the check runs, so they always qualify.
+     */
+    canFailBack() {
+        if (!this.active || typeof this.source === 'string') return false;
+        if (Array.isArray(this.source)) {
+            return this.active !== this.source.find(url => typeof url === 'string' && url);
+        }
+        return true;
+    }
+
+    /** Makes `url` the first endpoint tried by the next connection attempt */
+    prefer(url) {
+        this.lastGood = url;
+    }
+
+    markConnected(url) {
+        this.active = url;
+        this.lastGood = url;
+    }
+
+    markDisconnected() {
+        this.active = null;
+    }
+
+    /** Human readable description used in error messages */
+    describe() {
+        if (this.active) return this.active;
+        if (typeof this.source === 'function') return this.lastGood || '(resolver)';
+        return Array.isArray(this.source) ? this.source.join(', ') : this.source;
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Optave environment presets
+ *
+ * The environment names and URL builders come from the spec (generated/connection-config.js);
+ * this module maps options.environment onto them.
+ */
+
+import { SERVER_ENVIRONMENTS, buildWebSocketUrl, buildAuthUrl } from '../../generated/connection-config.js';
+
+export { SERVER_ENVIRONMENTS, buildWebSocketUrl, buildAuthUrl };
+
+// Values accepted by options.environment
+export const ENVIRONMENTS = SERVER_ENVIRONMENTS.auth.authEnv.examples;
+
+export const PRODUCTION_ENVIRONMENT = 'prod';
+
+// options.clientIdentifier becomes part of a single DNS label, e.g. "acme" -> acme-ws-sandbox.oco.optave.tech
+export const CLIENT_IDENTIFIER_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/i;
+
+/**
+ * Connection settings for a named environment
+ * @param {string} environment - One of ENVIRONMENTS ('incubator', 'sandbox', 'prod')
+ * @param {string} [clientIdentifier] - Client-specific subdomain prefix, e.g. "acme" for
+ *   wss://acme-ws-sandbox.oco.optave.tech/ and https://acme-sandbox.oco.optave.tech/auth/oauth2
+ * @returns {{ websocketUrl: string, authenticationUrl: string, authTransport: string }|null}
+ *   Null for unknown environments
+ */
+export function getEnvironmentPreset(environment, clientIdentifier) {
+    const index = ENVIRONMENTS.indexOf(environment);
+    if (index === -1) return null;
+
+    const subdomain = name => (clientIdentifier ? `${clientIdentifier.toLowerCase()}-${name}` : name);
+    return {
+        websocketUrl: buildWebSocketUrl(subdomain(SERVER_ENVIRONMENTS.websocket.wsEnv.examples[index])),
+        authenticationUrl: buildAuthUrl(subdomain(environment)),
+        // Every environment accepts the token as a subprotocol, which keeps it out of URLs and logs
+        authTransport: 'subprotocol'
+    };
+}
+
+// Client IDs issued for production usually carry a prod/production/live marker, e.g. "acme-prod-web"
+export function looksLikeProductionClientId(clientId) {
+    return typeof clientId === 'string' && /(^|[^a-z])(prod|production|live)([^a-z]|$)/i.test(clientId);
+}
@@ -1,23 +1,16 @@
 // Main entry point for the Optave Client SDK
 // This will be the primary export for the runtime library
 
-// Export TypeScript types and interfaces
+// Export TypeScript types and interfaces (including AuthTransport and GeneratedClientConfig)
 export * from './types';
-
-// Manual export for generated config types to avoid broken import
-export type AuthTransport = 'subprotocol' | 'query';
-export interface GeneratedClientConfig {
-    websocketUrl: string;
-    authUrl: string;
-    supportedAuthTransports: AuthTransport[];
-    OptaveTraceChatSessionId?: string;
-}
+import type { GeneratedClientConfig } from './types';
+import { DEFAULT_CONFIG as GENERATED_CONFIG } from '../../generated/connection-config';
 
 // Pure function-based approach for better tree-shaking
 export const createDefaultConfig = (): GeneratedClientConfig => ({
     websocketUrl: 'wss://default.oco.optave.tech/',
     authUrl: 'https://default.oco.optave.tech/auth/oauth2/',
-    supportedAuthTransports: ['subprotocol', 'query'],
+    supportedAuthTransports: [...GENERATED_CONFIG.supportedAuthTransports],
     OptaveTraceChatSessionId: undefined
 });
 
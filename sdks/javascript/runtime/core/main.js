@@ -19,13 +19,36 @@ import CONSTANTS, {
   LegacyEvents,
   EVENTS,
   InboundEvents,
-  ALLOWED_ACTIONS,
+  ConnectionState,
+  HEARTBEAT_TIMEOUT_CLOSE_CODE,
+  ACTION_DEFINITIONS,
+  DEFAULT_SESSION_INACTIVITY_MS,
+  SESSION_STORAGE_KEY,
 } from './constants.js';
-import { validateSDKConfig, setSmartDefaults } from '../validation/config-validator.js';
+import { validateSDKConfig, validateOptions, setSmartDefaults } from '../validation/config-validator.js';
 import { BuildTargetUtils } from './build-targets.js';
 import { OptaveError, makeStructuredError } from './errors.js';
-import { loadNodeWebSocket } from '../platform/node/websocket-loader.js';
+import {
+  loadNodeWebSocket,
+  createNativePinger,
+  createWebSocketOptions,
+} from '../platform/node/websocket-loader.js';
 import { enforceWebSocketScheme } from './security-guards.js';
+import { OutboundQueue } from './outbound-queue.js';
+import { createDefaultOutboxStore } from '../platform/node/outbox-store.js';
+import { TokenManager, TokenSource } from './token-manager.js';
+import { createAgentFetch } from '../platform/node/http-agent.js';
+import { EndpointSelector } from './endpoint-selector.js';
+import { loadConfig } from '../platform/node/config-loader.js';
+import { collectChannelMetadata } from '../platform/node/channel-metadata.js';
+import { SessionManager, MemorySessionStore } from './session-manager.js';
+import { Thread, isThreadMember } from './thread.js';
+import { PayloadBuilder } from './payload-builders.js';
+import { ActionRegistry, defineActionHelpers } from './action-registry.js';
+import { mergeArrays, pruneEmptyDefaults, getPath } from './payload-merge.js';
+import { byteLength, analyzePayloadSize, fitPayload } from './payload-size.js';
+import { summarizeInChunks } from './summarize-long.js';
+import { createDefaultSessionStore } from '../platform/node/session-store.js';
 
 const SDK_VERSION = typeof __SDK_VERSION__ !== 'undefined' ? __SDK_VERSION__ : '0.0.0-dev';
 
@@ -47,6 +70,37 @@ const isBrowserEnv = () => {
     : (typeof window !== 'undefined' && typeof window.WebSocket !== 'undefined');
 };
 
+// HTTP Basic credentials for the token endpoint: both parts are form-encoded first (RFC 6749 section 2.3.1)
+const encodeBasicCredentials = (clientId, clientSecret) => {
+  const formEncode = value => new URLSearchParams({ v: value ?? '' }).toString().slice(2);
+  const credentials = `${formEncode(clientId)}:${formEncode(clientSecret)}`;
+  return typeof btoa === 'function'
+    ? btoa(credentials)
+    : Buffer.from(credentials, 'utf8').toString('base64');
+};
+
+// Options copied into request.context of every payload unless the request sets them
+const CONTEXT_DEFAULT_FIELDS = ['organizationId', 'departmentId', 'operatorId', 'userId'];
+
+// "lat,lng" from a string, { latitude, longitude } or a GeolocationPosition ({ coords })
+const formatLocation = position => {
+  if (typeof position === 'string') return position;
+  const coords = position?.coords || position;
+  if (!Number.isFinite(coords?.latitude) || !Number.isFinite(coords?.longitude)) return '';
+  return `${coords.latitude},${coords.longitude}`;
+};
+
+// Allowed connection state transitions: state -> states reachable from it
+const CONNECTION_TRANSITIONS = {
+  [ConnectionState.IDLE]: [ConnectionState.CONNECTING],
+  [ConnectionState.CONNECTING]: [ConnectionState.OPEN, ConnectionState.CLOSING, ConnectionState.CLOSED],
+  // open -> reconnecting: the socket is swapped for one authenticated with a refreshed token
+  [ConnectionState.OPEN]: [ConnectionState.CLOSING, ConnectionState.CLOSED, ConnectionState.RECONNECTING],
+  [ConnectionState.CLOSING]: [ConnectionState.CLOSED],
+  [ConnectionState.CLOSED]: [ConnectionState.CONNECTING, ConnectionState.RECONNECTING],
+  [ConnectionState.RECONNECTING]: [ConnectionState.OPEN, ConnectionState.CLOSING, ConnectionState.CLOSED],
+};
+
 // Module-level warning flags for Step 5 dual event emission
 let warnedMessageEventOnce = false;
 let warnedErrorStringOnce = false;
@@ -195,6 +249,36 @@ class OptaveJavaScriptSDK extends EventEmitter {
     // This is primarily for test environments using JSDOM or similar contexts
   }
 
+  /**
+   * Creates an instance from OPTAVE__* environment variables and an optional JSON config file
+   * (server ESM build only)
+   * @param {Partial<Opts>} [overrides] - Options that take precedence over environment and file
+   * @param {{ env?: Object, configFile?: string, cwd?: string }} [params] - See loadConfig()
+   * @returns {OptaveJavaScriptSDK}
+   */
+  static fromEnv(overrides = {}, params = {}) {
+    return new this(loadConfig({ ...params, overrides }));
+  }
+
+  /**
+   * Reads and validates options from OPTAVE__* environment variables and a JSON config file
+   * without creating an instance (server ESM build only)
+   * @param {{ env?: Object, configFile?: string, cwd?: string, overrides?: Object }} [params]
+   * @returns {Opts}
+   */
+  static loadConfig(params) {
+    return loadConfig(params);
+  }
+
+  /**
+   * Validates options without creating an instance (the checks the constructor runs)
+   * @param {Opts} options
+   * @returns {{ isValid: boolean, errors: Array, warnings: Array }}
+   */
+  static validateOptions(options) {
+    return validateOptions(options);
+  }
+
   /**
    * Creates a new OptaveJavaScriptSDK instance
    * @param {Opts} options - Configuration options extending GeneratedClientConfig with SDK-specific settings
@@ -202,10 +286,29 @@ class OptaveJavaScriptSDK extends EventEmitter {
   constructor(options) {
     super();
 
-    // Apply smart defaults and validate configuration
+    // Validate the options as given (before defaults replace mistyped values), then apply smart defaults
     this.options = { ...options };
+
+    const validation = validateSDKConfig(this.options);
+
+    // Handle validation errors - throw for errors, warn for warnings
+    if (!validation.isValid) {
+      const errorMessages = validation.errors.map(e => e.message).join('; ');
+      throw new Error(`[Optave SDK] Configuration errors: ${errorMessages}`);
+    }
+
+    // Server builds: route HTTP requests (authenticate, default tokenProvider) through httpAgent/proxy/ca
+    const agentFetch = createAgentFetch(this.options);
+    if (agentFetch) {
+      this.options.fetch = agentFetch;
+    }
     setSmartDefaults(this.options);
 
+    // Log warnings using the configured logger
+    validation.warnings.forEach(warning => {
+      (this.options?.logger?.warn || console.warn)(`[Optave SDK] ${warning.message}`);
+    });
+
     // Auto-detect CSP compliance mode based on build target
     if (this.options.cspSafe === undefined) {
       const context = getBuildContext();
@@ -220,19 +323,6 @@ class OptaveJavaScriptSDK extends EventEmitter {
       // If buildTarget is unknown/undefined, let user explicitly set cspSafe or use default undefined
     }
 
-    const validation = validateSDKConfig(this.options);
-
-    // Handle validation errors - throw for errors, warn for warnings
-    if (!validation.isValid) {
-      const errorMessages = validation.errors.map(e => e.message).join('; ');
-      throw new Error(`[Optave SDK] Configuration errors: ${errorMessages}`);
-    }
-
-    // Log warnings using the configured logger
-    validation.warnings.forEach(warning => {
-      (this.options?.logger?.warn || console.warn)(`[Optave SDK] ${warning.message}`);
-    });
-
     // WebSocket scheme validation for UMD/browser builds (Salesforce Locker compatibility)
     // SECURITY: This validation is critical for Salesforce Lightning security - must not be removed by tree-shaking
     const buildTarget =
@@ -260,9 +350,54 @@ class OptaveJavaScriptSDK extends EventEmitter {
     }
     // Note: WebSocket implementation loading moved to _ensureWebSocketImpl() for async handling
 
-    // Holds pending correlation promises: correlationId -> { resolve, reject, timer, action }
+    // Holds pending correlation promises: correlationId -> { resolve, reject, timer, action, onChunk, aggregate, frames, results }
     this._pending = new Map();
 
+    // Connection lifecycle state (see CONNECTION_TRANSITIONS)
+    this._state = ConnectionState.IDLE;
+
+    // Reconnect loop state: current attempt number (0 = idle) and the pending backoff timer
+    this._reconnectAttempt = 0;
+    this._reconnectTimer = null;
+
+    // Envelopes sent while connecting/reconnecting, flushed in order once the socket opens
+    this._outboundQueue = new OutboundQueue({
+      maxSize: this.options.queueMaxSize,
+      overflow: this.options.queueOverflow,
+      ttlMs: this.options.queueEntryTtlMs,
+    });
+
+    // Heartbeat state: interval timer and beats sent without any sign of life from the server
+    this._heartbeatTimer = null;
+    this._missedHeartbeats = 0;
+
+    // Durable outbox: unacknowledged envelopes persisted for replay after a reload/restart.
+    // Store operations are chained so a fast response cannot remove an entry before it is saved.
+    this._outbox = this._resolveOutboxStore();
+    this._outboxChain = Promise.resolve();
+
+    // Cached token + expiry, and sockets kept alive after a token refresh until their in-flight requests settle
+    this._tokenManager = new TokenManager({ refreshSkewMs: this.options.tokenRefreshSkewMs });
+    this._retiringSockets = new Map();
+    this._swappingSocket = false;
+    this._endpoints = new EndpointSelector(this.options.websocketUrl);
+    this._failbackTimer = null;
+
+    // Actions this instance can send, with their required-field rules
+    this._actions = new ActionRegistry();
+
+    // Conversation threads created by thread(), keyed by threadId
+    this._threads = new Map();
+
+    // Managed chat session ID (options.sessionManager); null leaves it to setSessionId()
+    this._sessionManager = this._createSessionManager();
+
+    // Browser/device details for session.channel (options.channelMetadata, browser builds only)
+    this._channelMetadata = this._collectChannelMetadata();
+
+    // defaultPayload with the client-level context and session defaults from the options merged in
+    this._payloadDefaults = this._buildPayloadDefaults();
+
     // Note: _activeTimeouts removed as we now use queueMicrotask() instead of setTimeout()
     // which doesn't require tracking IDs for cleanup
 
@@ -362,16 +497,107 @@ class OptaveJavaScriptSDK extends EventEmitter {
   static get InboundEvents() {
     return InboundEvents;
   }
+  static get ConnectionState() {
+    return ConnectionState;
+  }
+
+  // ---- Connection State ----
+  getState() {
+    return this._state;
+  }
+
+  // URL of the currently open WebSocket (null when not connected)
+  getActiveEndpoint() {
+    return this._endpoints.active;
+  }
+
+  isConnected() {
+    return this._state === ConnectionState.OPEN && this._isSocketOpen();
+  }
+
+  _isSocketOpen() {
+    const OPEN =
+      (this.WebSocketImpl && this.WebSocketImpl.OPEN) != null ? this.WebSocketImpl.OPEN : 1;
+    return !!this.wss && this.wss.readyState === OPEN;
+  }
+
+  _setState(next) {
+    const previous = this._state;
+    if (previous === next) return;
+    if (!CONNECTION_TRANSITIONS[previous]?.includes(next)) {
+      this.options?.logger?.debug?.(
+        `[Optave SDK] Ignoring invalid connection state transition: ${previous} -> ${next}`
+      );
+      return;
+    }
+    this._state = next;
+
+    // Nothing queued can be delivered once the connection settles in 'closed'
+    if (next === ConnectionState.CLOSED && this._outboundQueue?.size > 0) {
+      this._outboundQueue.clear(
+        'CONNECTION_CLOSED',
+        'Connection closed before the queued message could be sent'
+      );
+    }
+
+    this.emit(EVENTS.CONNECTION_STATE_CHANGE, next, previous);
+  }
+
+  // A connection attempt that failed before opening; the reconnect loop keeps its own state
+  _failConnecting() {
+    if (this._state === ConnectionState.CONNECTING) {
+      this._setState(ConnectionState.CLOSED);
+    }
+  }
 
   setSessionId(id) {
     this.sessionId = id;
+    // A managed session is replaced: 'session:ended' for the old ID, 'session:started' for this one
+    this._sessionManager?.replace(id);
     return this; // allow chaining if you like
   }
 
   getSessionId() {
+    if (this._sessionManager) return this._sessionManager.sessionId;
     return this.sessionId || '';
   }
 
+  // Ends the managed session now instead of waiting for inactivity; the next request starts a new one
+  endSession() {
+    if (this._sessionManager) {
+      this._sessionManager.end();
+    } else {
+      this.sessionId = null;
+    }
+    return this;
+  }
+
+  _createSessionManager() {
+    const config = this.options.sessionManager;
+    if (!config) return null;
+
+    const settings = config === true ? {} : config;
+    return new SessionManager({
+      store: settings.store || createDefaultSessionStore() || new MemorySessionStore(),
+      storageKey: settings.storageKey || SESSION_STORAGE_KEY,
+      inactivityTimeoutMs: typeof settings.inactivityTimeoutMs === 'number'
+        ? settings.inactivityTimeoutMs
+        : DEFAULT_SESSION_INACTIVITY_MS,
+      onStarted: info => this.emit(EVENTS.SESSION_STARTED, info),
+      onEnded: info => this.emit(EVENTS.SESSION_ENDED, info),
+      onError: error => {
+        (this.options?.logger?.warn || console.warn)('[Optave SDK] Session store operation failed', error);
+      },
+    });
+  }
+
+  // Session ID for the next request. With `touch: false` (preview()) it is only read: no session
+  // is started, resumed or extended, and no session event is emitted.
+  _currentSessionId({ touch = true } = {}) {
+    if (!this._sessionManager) return this.sessionId || '';
+    return touch ? this._sessionManager.touch() : this._sessionManager.peek();
+  }
+
   validate(jsonObject) {
     // Backward compatible boolean return; wraps validator (CSP-safe or AJV)
     const r = this._validatePayload(jsonObject);
@@ -384,120 +610,53 @@ class OptaveJavaScriptSDK extends EventEmitter {
   }
 
   // Validates action-specific required fields
+  // Required-field rules come from the action registry (ACTION_DEFINITIONS plus registerAction())
   validateRequiredFields(params, action) {
-    const errors = [];
+    return this._actions.validate(params || {}, action);
+  }
 
-    // Common required fields for all actions
-    if (!params.request?.connections?.threadId) {
-      errors.push('request.connections.threadId is required');
+  /**
+   * Makes a new action available on this instance: send(), sdk.<name>(), sdk.<name>Async(),
+   * sdk.stream.<name>(), sdk.build.<name>() and the same methods on threads. Registering an
+   * existing action replaces its rules.
+   * @param {string} name - Action name as sent in the envelope (letters and digits)
+   * @param {{ required?: string[], nonEmptyArrays?: string[] }} [rules] - Required field paths
+   * @returns {OptaveJavaScriptSDK}
+   * @throws {OptaveError} INVALID_ACTION_DEFINITION for invalid names/rules or names taken by SDK or Thread members
+   */
+  registerAction(name, rules = {}) {
+    const isNew = !this._actions.has(name);
+    const taken = candidate => candidate in this || isThreadMember(candidate);
+    if (isNew && typeof name === 'string' && (taken(name) || taken(`${name}Async`))) {
+      throw new OptaveError({
+        category: ErrorCategory.VALIDATION,
+        code: 'INVALID_ACTION_DEFINITION',
+        message: `Cannot register action '${name}': the name is already used by an SDK or Thread member.`,
+      });
     }
 
-    // Action-specific required fields
-    switch (action) {
-      case 'adjust':
-        if (!params.request?.attributes?.content) {
-          errors.push('request.attributes.content is required for adjust');
-        }
-        if (!params.request?.attributes?.instruction) {
-          errors.push('request.attributes.instruction is required for adjust');
-        }
-        if (!params.request?.connections?.parentId) {
-          errors.push('request.connections.parentId is required for adjust');
-        }
-        if (
-          !params.request?.scope?.conversations ||
-          !Array.isArray(params.request.scope.conversations) ||
-          params.request.scope.conversations.length === 0
-        ) {
-          errors.push(
-            'request.scope.conversations is required for adjust and must be a non-empty array'
-          );
-        }
-        break;
-
-      case 'elevate':
-        if (!params.request?.attributes?.content) {
-          errors.push('request.attributes.content is required for elevate');
-        }
-        if (!params.request?.connections?.parentId) {
-          errors.push('request.connections.parentId is required for elevate');
-        }
-        if (
-          !params.request?.scope?.conversations ||
-          !Array.isArray(params.request.scope.conversations) ||
-          params.request.scope.conversations.length === 0
-        ) {
-          errors.push(
-            'request.scope.conversations is required for elevate and must be a non-empty array'
-          );
-        }
-        break;
-
-      case 'translate':
-      case 'summarize':
-      case 'insights':
-        if (
-          !params.request?.scope?.conversations ||
-          !Array.isArray(params.request.scope.conversations) ||
-          params.request.scope.conversations.length === 0
-        ) {
-          errors.push(
-            `request.scope.conversations is required for ${action} and must be a non-empty array`
-          );
-        }
-        break;
-
-      case 'recommend':
-        if (
-          !params.request?.resources?.offers ||
-          !Array.isArray(params.request.resources.offers) ||
-          params.request.resources.offers.length === 0
-        ) {
-          errors.push(
-            'request.resources.offers is required for recommend and must be a non-empty array'
-          );
-        }
-        if (
-          !params.request?.scope?.conversations ||
-          !Array.isArray(params.request.scope.conversations) ||
-          params.request.scope.conversations.length === 0
-        ) {
-          errors.push(
-            'request.scope.conversations is required for recommend and must be a non-empty array'
-          );
-        }
-        break;
-
-      case 'customerinteraction': // legacy lowercase for backward compatibility
-      case 'customerInteraction': // current camelCase
-      case 'interaction':
-        if (
-          !params.request?.scope?.conversations ||
-          !Array.isArray(params.request.scope.conversations) ||
-          params.request.scope.conversations.length === 0
-        ) {
-          errors.push(
-            `request.scope.conversations is required for ${action} and must be a non-empty array`
-          );
-        }
-        break;
-
-      case 'reception':
-        // Reception has no additional required fields beyond common ones.
-        break;
-
-      default:
-        // For unknown actions, just check common required fields
-        break;
+    this._actions.register(name, rules);
+    if (isNew) {
+      defineActionHelpers(this, name);
+      this._threads.forEach(thread => thread._addAction(name));
+      // Rebuilt with the new action on next access
+      this._streamApi = null;
+      this._buildApi = null;
     }
-
-    return {
-      isValid: errors.length === 0,
-      errors: errors,
-    };
+    return this;
   }
 
   async authenticate() {
+    const tokenResponse = await this._requestAccessToken();
+    if (!tokenResponse) return null;
+
+    // Keep the expiry so the token can be reused on reconnect and refreshed before it lapses
+    this._tokenManager.set(tokenResponse, TokenSource.AUTHENTICATE);
+    return tokenResponse.access_token;
+  }
+
+  // Client credentials grant; resolves with the raw token response ({ access_token, expires_in, ... }) or null
+  async _requestAccessToken() {
     // Browser-targeted builds should not use client credentials for security
     // Server builds (ESM and UMD) can authenticate with client credentials
     // Use the SDK's own build flags rather than environment variables for accuracy
@@ -513,10 +672,6 @@ class OptaveJavaScriptSDK extends EventEmitter {
       );
       return null;
     }
-    let params = {
-      grant_type: 'client_credentials',
-    };
-
     if (!this.options.authenticationUrl) {
       this.handleError(
         ErrorCategory.AUTHENTICATION,
@@ -535,12 +690,32 @@ class OptaveJavaScriptSDK extends EventEmitter {
       return null;
     }
 
-    params.client_id = this.options.clientId;
+    // Credentials travel in the request body or an Authorization header, never in the URL,
+    // so they cannot end up in proxy or access logs
+    const params = new URLSearchParams({ grant_type: 'client_credentials' });
+    const { scope, audience } = this.options;
+    if (scope) {
+      params.set('scope', Array.isArray(scope) ? scope.join(' ') : scope);
+    }
+    if (audience) {
+      params.set('audience', audience);
+    }
+
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+    };
     // Never set clientSecret in browser/mobile/Electron renderers
     // Client secrets must only be used in secure server-side environments
-    params.client_secret = this.options.clientSecret;
-
-    const paramsString = new URLSearchParams(params).toString();
+    if (this.options.clientAuthMethod === 'client_secret_basic') {
+      headers.Authorization = `Basic ${encodeBasicCredentials(
+        this.options.clientId,
+        this.options.clientSecret
+      )}`;
+    } else {
+      params.set('client_id', this.options.clientId);
+      params.set('client_secret', this.options.clientSecret);
+    }
 
     // Automatically append /token to authenticationUrl if not present
     // This allows clients to provide base OAuth2 URL (e.g., /auth/oauth2)
@@ -550,15 +725,45 @@ class OptaveJavaScriptSDK extends EventEmitter {
       authUrl = authUrl.endsWith('/') ? authUrl + 'token' : authUrl + '/token';
     }
 
-    const url = `${authUrl}?${paramsString}`;
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-    });
+    const fetchImpl = this._getFetch();
+    if (!fetchImpl) {
+      this.handleError(
+        ErrorCategory.AUTHENTICATION,
+        'NO_FETCH_IMPL',
+        'No fetch implementation available. Provide options.fetch.'
+      );
+      return null;
+    }
+
+    const timeoutMs = this.options.authTimeoutMs;
+    const controller =
+      timeoutMs > 0 && typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
 
-    const responseJson = await response.json();
+    let response;
+    let responseJson;
+    try {
+      response = await fetchImpl(authUrl, {
+        method: 'POST',
+        headers,
+        body: params.toString(),
+        signal: controller ? controller.signal : undefined,
+      });
+      responseJson = await response.json();
+    } catch (error) {
+      if (controller && controller.signal.aborted) {
+        this.handleError(
+          ErrorCategory.AUTHENTICATION,
+          'AUTHENTICATION_TIMEOUT',
+          `Token request timed out after ${timeoutMs}ms (endpoint: ${authUrl})`,
+          { timeoutMs }
+        );
+        return null;
+      }
+      throw error;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
 
     if (!response.ok) {
       this.handleError(
@@ -570,11 +775,17 @@ class OptaveJavaScriptSDK extends EventEmitter {
       return null;
     }
 
-    return responseJson.access_token;
+    return responseJson;
+  }
+
+  // options.fetch (custom or agent-aware) takes precedence over the global fetch
+  _getFetch() {
+    if (typeof this.options.fetch === 'function') return this.options.fetch;
+    return typeof fetch === 'function' ? (url, init) => fetch(url, init) : null;
   }
 
   async openConnection(bearerToken) {
-    if (!this.options.websocketUrl) {
+    if (!this._endpoints.isConfigured()) {
       (this.options?.logger?.error || console.error)(
         '[Optave SDK] openConnection aborted: missing websocketUrl'
       );
@@ -589,22 +800,20 @@ class OptaveJavaScriptSDK extends EventEmitter {
       return;
     }
 
+    // Reconnect attempts keep the 'reconnecting' state until one of them succeeds
+    if (this._state !== ConnectionState.RECONNECTING) {
+      this._setState(ConnectionState.CONNECTING);
+    }
+
     const getToken = async () => {
-      if (typeof bearerToken === 'string' && bearerToken.length > 0) return bearerToken;
-      if (typeof this.options.tokenProvider === 'function') {
-        try {
-          return await this.options.tokenProvider();
-        } catch (e) {
-          this.handleError(
-            ErrorCategory.AUTHENTICATION,
-            'TOKEN_PROVIDER_FAILED',
-            this.formatTokenProviderError(e).message,
-            e
-          );
-          return null;
-        }
+      if (typeof bearerToken === 'string' && bearerToken.length > 0) {
+        this._tokenManager.adopt(bearerToken);
+        return bearerToken;
       }
-      return null;
+      // Reuse the cached token until it enters its refresh window; automatic reconnect attempts
+      // always ask for a new one (the server may have closed the socket because of the token)
+      if (!this._reconnectAttempt && this._tokenManager.isFresh()) return this._tokenManager.current.token;
+      return this._fetchToken(this._tokenManager.current?.source);
     };
 
     const token = await getToken();
@@ -620,6 +829,7 @@ class OptaveJavaScriptSDK extends EventEmitter {
           environment: typeof window !== 'undefined' ? 'browser' : 'node',
         }).message
       );
+      this._failConnecting();
       return;
     }
 
@@ -629,55 +839,137 @@ class OptaveJavaScriptSDK extends EventEmitter {
         'MISSING_TOKEN',
         'No WebSocket token available. Provide options.tokenProvider() or set options.tokenUrl.'
       );
+      this._failConnecting();
       return;
     }
 
-    const qp = new URLSearchParams();
-    if (this.sessionId) qp.set('OptaveTraceChatSessionId', this.sessionId);
+    const candidates = await this._resolveEndpoints();
+    if (!candidates) {
+      this._failConnecting();
+      return;
+    }
 
-    try {
-      if (this.options.authTransport === 'subprotocol') {
-        // Recommended: token via Sec-WebSocket-Protocol to avoid URL leaks
-        const protocols = token ? ['optave-v1', token] : ['optave-v1'];
-        this.wss = new this.WebSocketImpl(
-          qp.toString()
-            ? `${this.options.websocketUrl}?${qp.toString()}`
-            : this.options.websocketUrl,
-          protocols
-        );
-      } else {
-        // Fallback: token in query string (avoid if possible)
-        if (token) {
-          // For WebSocket query parameters, use raw token without Bearer prefix
-          // The Bearer prefix is for HTTP headers, not WebSocket query parameters
-          const val = token.replace(/^Bearer\s+/i, '');
-          qp.set('Authorization', val);
-        }
-        this.wss = new this.WebSocketImpl(
-          qp.toString()
-            ? `${this.options.websocketUrl}?${qp.toString()}`
-            : this.options.websocketUrl
-        );
-        if (token) {
-          this._warnOnce(
-            '_warnedQueryToken',
-            '[Optave SDK] Passing auth token in WebSocket URL query is discouraged. Prefer authTransport="subprotocol".'
-          );
+    // Try each endpoint in turn; only a failure on the last one is reported
+    for (let index = 0; index < candidates.length; index++) {
+      const url = candidates[index];
+      const next = candidates[index + 1];
+      try {
+        return await this._connectSocket(url, token, !next);
+      } catch (error) {
+        // Stop when this was the last candidate or closeConnection() ran meanwhile
+        if (!next || (this._state !== ConnectionState.CONNECTING &&
+            this._state !== ConnectionState.RECONNECTING)) {
+          throw error;
         }
+        this.emit(EVENTS.ENDPOINT_FAILOVER, {
+          from: url,
+          to: next,
+          code: error?.code,
+          message: error?.message,
+        });
       }
+    }
+  }
+
+  // Resolves options.websocketUrl to the candidates for one connection attempt, last working
+  // endpoint first. Resolver results go through the same scheme guard as static URLs.
+  // Returns null (after reporting the error) when no usable endpoint remains.
+  async _resolveEndpoints() {
+    let candidates;
+    try {
+      candidates = await this._endpoints.resolve();
     } catch (error) {
-      (this.options?.logger?.error || console.error)(
-        '[Optave SDK] WebSocket constructor threw',
+      this.handleError(
+        ErrorCategory.WEBSOCKET,
+        'ENDPOINT_RESOLVER_FAILED',
+        `websocketUrl resolver failed: ${error?.message || error}`,
         error
       );
+      return null;
+    }
+
+    const buildTarget =
+      typeof __WEBPACK_BUILD_TARGET__ !== 'undefined' ? __WEBPACK_BUILD_TARGET__ : 'unknown';
+    const usable = candidates.filter(url => {
+      try {
+        enforceWebSocketScheme(url, buildTarget, this.options);
+        return true;
+      } catch (securityError) {
+        this.handleError(ErrorCategory.WEBSOCKET, 'INSECURE_WEBSOCKET_URL', securityError.message, { url });
+        return false;
+      }
+    });
+
+    if (usable.length === 0) {
       this.handleError(
         ErrorCategory.WEBSOCKET,
-        'WEBSOCKET_ERROR',
-        this.formatWebSocketError(error, { url: this.options.websocketUrl }).message,
+        'INVALID_WEBSOCKET_URL',
+        this.formatWebSocketError(new Error('websocketUrl did not resolve to any usable endpoint'), {
+          url: this._endpoints.describe(),
+        }).message,
+        { candidates }
+      );
+      return null;
+    }
+    return this._endpoints.order(usable);
+  }
+
+  _createSocket(url, token) {
+    const qp = new URLSearchParams();
+    const sessionId = this._currentSessionId();
+    if (sessionId) qp.set('OptaveTraceChatSessionId', sessionId);
+    const fullUrl = qp.toString() ? `${url}?${qp.toString()}` : url;
+
+    // Server builds: options.wsOptions plus proxy/CA settings for the `ws` client (null in browsers)
+    const socketOptions = createWebSocketOptions(url, this.options);
+    const socketArgs = socketOptions ? [socketOptions] : [];
+
+    // 'oauth2' names the spec's OAuth2 scheme: its bearer token travels the same way as with 'subprotocol'
+    if (this.options.authTransport === 'subprotocol' || this.options.authTransport === 'oauth2') {
+      // Recommended: token via Sec-WebSocket-Protocol to avoid URL leaks
+      const protocols = token ? ['optave-v1', token] : ['optave-v1'];
+      return new this.WebSocketImpl(fullUrl, protocols, ...socketArgs);
+    }
+
+    // Fallback: token in query string (avoid if possible)
+    if (token) {
+      // For WebSocket query parameters, use raw token without Bearer prefix
+      // The Bearer prefix is for HTTP headers, not WebSocket query parameters
+      const val = token.replace(/^Bearer\s+/i, '');
+      qp.set('Authorization', val);
+      this._warnOnce(
+        '_warnedQueryToken',
+        '[Optave SDK] Passing auth token in WebSocket URL query is discouraged. Prefer authTransport="subprotocol".'
+      );
+    }
+    return new this.WebSocketImpl(
+      qp.toString() ? `${url}?${qp.toString()}` : url,
+      ...(socketOptions ? [undefined, socketOptions] : [])
+    );
+  }
+
+  // Opens one socket to `url`. Unless this is the last candidate (`reportFailure`), a failure
+  // only rejects so openConnection() can move on to the next endpoint.
+  async _connectSocket(url, token, reportFailure) {
+    try {
+      this.wss = this._createSocket(url, token);
+    } catch (error) {
+      const message = this.formatWebSocketError(error, { url }).message;
+      if (!reportFailure) {
+        throw { category: ErrorCategory.WEBSOCKET, code: 'WEBSOCKET_ERROR', message, details: error };
+      }
+      (this.options?.logger?.error || console.error)(
+        '[Optave SDK] WebSocket constructor threw',
         error
       );
+      this.handleError(ErrorCategory.WEBSOCKET, 'WEBSOCKET_ERROR', message, error);
+      this._failConnecting();
       return;
     }
+    // Capture the socket so late events from a replaced socket cannot clobber the active one
+    const socket = this.wss;
+    let opened = false;
+
     // Return a promise that resolves when the connection is established
     return new Promise((resolve, reject) => {
       // Set up connection timeout to prevent hanging
@@ -685,7 +977,7 @@ class OptaveJavaScriptSDK extends EventEmitter {
         const timeoutMs = this.options.connectionTimeoutMs || 30000;
         const errorMessage = this.formatWebSocketError(new Error('Connection timeout'), {
           timeout: timeoutMs,
-          url: this.options.websocketUrl,
+          url,
         }).message;
 
         // CRITICAL: Close the WebSocket to prevent zombie connections
@@ -709,7 +1001,10 @@ class OptaveJavaScriptSDK extends EventEmitter {
           this.wss = null;
         }
 
-        this.handleError(ErrorCategory.WEBSOCKET, 'CONNECTION_TIMEOUT', errorMessage);
+        if (reportFailure) {
+          this._failConnecting();
+          this.handleError(ErrorCategory.WEBSOCKET, 'CONNECTION_TIMEOUT', errorMessage);
+        }
         reject({
           category: ErrorCategory.WEBSOCKET,
           code: 'CONNECTION_TIMEOUT',
@@ -720,7 +1015,20 @@ class OptaveJavaScriptSDK extends EventEmitter {
 
       this.wss.onopen = event => {
         clearTimeout(connectionTimeout);
+        opened = true;
+        const openedAt = Date.now();
+        this._endpoints.markConnected(url);
+        this._setState(ConnectionState.OPEN);
+        this._startHeartbeat(socket);
+        this._scheduleTokenRefresh();
+        this._scheduleFailback();
+        const flushedIds = this._flushOutboundQueue();
+        // A token-refresh swap loses nothing: the previous socket is still delivering responses
+        if (!this._swappingSocket) {
+          this._replayOutbox(flushedIds, openedAt);
+        }
         this.emit('open', event);
+        this.emit(EVENTS.CONNECTION_OPEN);
         resolve(event);
       };
 
@@ -730,19 +1038,42 @@ class OptaveJavaScriptSDK extends EventEmitter {
 
       this.wss.onclose = event => {
         clearTimeout(connectionTimeout);
+        // A candidate that never opened is reported by onerror/timeout; nothing was sent on it
+        if (!opened && !reportFailure) {
+          if (this.wss === socket) this.wss = null;
+          return;
+        }
+        if (this.wss === socket) {
+          this._stopHeartbeat();
+          this._cancelFailback();
+          this._endpoints.markDisconnected();
+        }
+        if (opened) {
+          this._setState(ConnectionState.CLOSED);
+        } else {
+          this._failConnecting();
+        }
         this.emit('close', event);
+        if (opened) {
+          this.emit(EVENTS.CONNECTION_CLOSE, event.code, event.reason);
+        }
         //
         // CRITICAL: Race condition prevention for promise handling
         // This pattern fixes race conditions where timeout timers compete with WebSocket events
         // The _handled flag ensures promises are only resolved/rejected once
         //
         // Reject all pending promises when connection closes
+        // (requests still waiting in the outbound queue were never sent and stay queued)
         for (const [correlationId, entry] of this._pending.entries()) {
+          if (entry.queued) continue;
           if (entry.timer) {
             clearTimeout(entry.timer);
           }
           // Mark entry as handled to prevent timeout from firing
           entry._handled = true;
+          this._pending.delete(correlationId);
+          // The caller gets the error, so the outbox must not replay the request on reconnect
+          this._removeFromOutbox(correlationId);
           entry.reject({
             category: ErrorCategory.WEBSOCKET,
             code: 'CONNECTION_CLOSED',
@@ -751,8 +1082,15 @@ class OptaveJavaScriptSDK extends EventEmitter {
             correlationId,
           });
         }
-        this._pending.clear();
-        this.wss = null;
+        if (this.wss === socket) {
+          this.wss = null;
+        }
+
+        // Only an established connection that dropped unexpectedly is re-established here.
+        // Failed reconnect attempts are retried by the loop in _scheduleReconnect().
+        if (opened && this.options.retryAttempts > 0 && !this._reconnectAttempt) {
+          this._scheduleReconnect(1);
+        }
       };
 
       this.wss.onerror = event => {
@@ -778,23 +1116,35 @@ class OptaveJavaScriptSDK extends EventEmitter {
           details: { originalError: event },
         };
 
-        // Reject all pending promises when WebSocket error occurs
+        // openConnection() moves on to the next endpoint
+        if (!opened && !reportFailure) {
+          reject(errObj);
+          return;
+        }
+
+        // Reject all pending promises when WebSocket error occurs (queued requests were never sent)
         for (const [correlationId, entry] of this._pending.entries()) {
+          if (entry.queued) continue;
           if (entry.timer) {
             clearTimeout(entry.timer);
           }
           // Mark entry as handled to prevent timeout from firing
           entry._handled = true;
+          this._pending.delete(correlationId);
+          this._removeFromOutbox(correlationId);
           entry.reject({
             ...errObj,
             details: { ...errObj.details, correlationId },
             correlationId,
           });
         }
-        this._pending.clear();
 
         // Emit error event for general error handling
         this.emit('error', errObj);
+        this.emit(EVENTS.CONNECTION_ERROR, makeStructuredError(errObj));
+        if (!opened) {
+          this._failConnecting();
+        }
 
         // Reject the openConnection promise
         reject(errObj);
@@ -820,6 +1170,9 @@ class OptaveJavaScriptSDK extends EventEmitter {
   _handleInbound(rawPayload) {
     let parsed;
 
+    // Any inbound traffic proves the connection is alive
+    this._missedHeartbeats = 0;
+
     try {
       parsed = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
     } catch (e) {
@@ -834,8 +1187,17 @@ class OptaveJavaScriptSDK extends EventEmitter {
       return;
     }
 
+    // Heartbeat replies are connection-level traffic, not responses
+    if (parsed?.action === 'pong') return;
+
+    this.emit(EVENTS.MESSAGE_RECEIVED, parsed);
+
     const isEnvelope = parsed && parsed.headers && parsed.payload;
-    const isError = parsed?.state === 'error' || parsed?.actionType === 'error' || !!parsed?.error;
+    const isError =
+      parsed?.state === 'error' ||
+      parsed?.payload?.state === 'error' ||
+      parsed?.actionType === 'error' ||
+      !!parsed?.error;
 
     // Optional inbound validation (envelope) when strictValidation enabled
     if (this.options.strictValidation && isEnvelope) {
@@ -860,6 +1222,9 @@ class OptaveJavaScriptSDK extends EventEmitter {
         details: parsed?.error || parsed,
         correlationId,
       };
+      if (correlationId) {
+        this._removeFromOutbox(correlationId);
+      }
       // Correlation rejection path
       if (correlationId && this._pending.has(correlationId)) {
         const entry = this._pending.get(correlationId);
@@ -876,14 +1241,32 @@ class OptaveJavaScriptSDK extends EventEmitter {
 
     // Correlation fulfillment (success)
     const correlationId = parsed?.headers?.correlationId || parsed?.correlationId;
+    const body = isEnvelope ? parsed.payload : parsed;
+    const isFinalFrame = !(body?.state && body.state !== 'completed');
     if (correlationId && this._pending.has(correlationId)) {
       const entry = this._pending.get(correlationId);
-      if (entry.timer) {
-        clearTimeout(entry.timer);
+      const results = body?.message?.results;
+      if (Array.isArray(results)) {
+        entry.results.push(...results);
+      }
+      entry.frames++;
+
+      if (!isFinalFrame) {
+        // Intermediate streaming frame ('started' or partial chunk): keep the request pending
+        this._notifyChunk(entry, parsed, body.state);
+      } else {
+        if (entry.timer) {
+          clearTimeout(entry.timer);
+        }
+        entry._handled = true; // Mark as handled
+        this._pending.delete(correlationId);
+        entry.resolve(this._aggregateStreamResponse(parsed, entry));
       }
-      entry._handled = true; // Mark as handled
-      this._pending.delete(correlationId);
-      entry.resolve(parsed);
+    }
+
+    // The final frame acknowledges the envelope, including one replayed after a reload
+    if (correlationId && isFinalFrame) {
+      this._removeFromOutbox(correlationId);
     }
 
     // Legacy emission (unchanged)
@@ -900,46 +1283,449 @@ class OptaveJavaScriptSDK extends EventEmitter {
     // New event (same payload as legacy message)
     this.emit(InboundEvents.SUPERPOWER_RESPONSE, parsed);
 
-    // New canonical response event (parsed object) - keeping existing behavior
-    this.emit(EVENTS.RESPONSE, parsed);
+    // New canonical response event (parsed object) - keeping existing behavior
+    this.emit(EVENTS.RESPONSE, parsed);
+
+    // Per-action convenience (lowercased) - keeping existing behavior
+    if (parsed?.action) {
+      this.emit(`message.${parsed.action}`.toLowerCase(), parsed);
+    }
+
+    // Preserve prior schemaRef emission for envelopes - keeping existing behavior
+    if (isEnvelope && parsed.headers.schemaRef) {
+      this.emit(parsed.headers.schemaRef, parsed);
+    }
+  }
+
+  _notifyChunk(entry, frame, state) {
+    if (typeof entry.onChunk !== 'function') return;
+    try {
+      entry.onChunk(frame, {
+        index: entry.frames - 1,
+        state,
+        results: [...entry.results],
+      });
+    } catch (e) {
+      // A throwing consumer callback must not break inbound routing for other requests
+      (this.options?.logger?.error || console.error)('[Optave SDK] onChunk callback threw', e);
+    }
+  }
+
+  // Folds the results of every streamed frame into the final 'completed' frame.
+  // Non-streamed responses (a single frame) are returned unchanged.
+  _aggregateStreamResponse(finalFrame, entry) {
+    if (entry.frames <= 1 || !entry.aggregate) {
+      return finalFrame;
+    }
+
+    const isEnvelope = !!(finalFrame && finalFrame.headers && finalFrame.payload);
+    const body = isEnvelope ? finalFrame.payload : finalFrame;
+    const aggregatedBody = {
+      ...body,
+      message: { ...(body?.message || {}), results: entry.results },
+    };
+    return isEnvelope ? { ...finalFrame, payload: aggregatedBody } : aggregatedBody;
+  }
+
+  _emitError(errObj, action = null) {
+    if (!errObj.timestamp) {
+      errObj.timestamp = new Date().toISOString();
+    }
+
+    // Legacy emission (unchanged) - keep emitting structured objects
+    this.emit(LegacyEvents.ERROR, errObj);
+
+    // One-time deprecation warning for legacy error events:
+    if (!warnedErrorStringOnce) {
+      warnedErrorStringOnce = true;
+      (this.options?.logger?.warn || console.warn)(
+        '[optave-sdk][deprecation] The "error" (string payload) is deprecated. Please also listen to "superpower.error" for a structured error object.'
+      );
+    }
+
+    // New event: structured Error object (non-breaking because it's a new event name)
+    const structuredError = makeStructuredError(errObj);
+    this.emit(InboundEvents.SUPERPOWER_ERROR, structuredError);
+
+    // Keep existing behavior for EVENTS.ERROR
+    this.emit(EVENTS.ERROR, errObj);
+  }
+
+  // ---- Automatic Reconnection ----
+  // Exponential backoff with jitter: the delay doubles per attempt (capped at retryMaxDelayMs)
+  // and a random value in the upper half of that window is picked to avoid thundering herds
+  _computeReconnectDelay(attempt) {
+    const baseDelay = this.options.retryDelay;
+    const maxDelay = this.options.retryMaxDelayMs;
+    const exponential = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  _scheduleReconnect(attempt) {
+    const maxAttempts = this.options.retryAttempts;
+
+    if (attempt > maxAttempts) {
+      this._reconnectAttempt = 0;
+      this._setState(ConnectionState.CLOSED);
+      this.handleError(
+        ErrorCategory.WEBSOCKET,
+        'RECONNECT_FAILED',
+        this.formatWebSocketError(
+          new Error(`Unable to re-establish connection after ${maxAttempts} attempts`),
+          { url: this._endpoints.describe() }
+        ).message,
+        { attempts: maxAttempts }
+      );
+      return;
+    }
+
+    const delayMs = this._computeReconnectDelay(attempt);
+    this._reconnectAttempt = attempt;
+    this._setState(ConnectionState.RECONNECTING);
+    this.emit(EVENTS.RECONNECTING, { attempt, maxAttempts, delayMs });
+
+    this._reconnectTimer = setTimeout(async () => {
+      this._reconnectTimer = null;
+
+      try {
+        // No explicit token: every attempt asks tokenProvider() for a fresh one
+        await this.openConnection();
+      } catch (e) {
+        // Failure is already reported through the error event; fall through to retry
+      }
+
+      // closeConnection() was called while this attempt was in flight
+      if (this._reconnectAttempt !== attempt) return;
+
+      if (this._isSocketOpen()) {
+        this._reconnectAttempt = 0;
+        this.emit(EVENTS.RECONNECTED, { attempts: attempt });
+      } else {
+        this._scheduleReconnect(attempt + 1);
+      }
+    }, delayMs);
+  }
+
+  _cancelReconnect() {
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    this._reconnectAttempt = 0;
+  }
+
+  // ---- Heartbeat / Dead-connection Detection ----
+  // Node (ws) uses protocol-level ping/pong frames; browsers send a small 'ping' envelope
+  // and count any inbound message (including the 'pong' reply) as a sign of life.
+  _startHeartbeat(socket) {
+    this._stopHeartbeat();
+
+    const intervalMs = this.options.heartbeatIntervalMs;
+    if (!(intervalMs > 0)) return;
+
+    const nativePing = createNativePinger(socket, () => {
+      this._missedHeartbeats = 0;
+    });
+
+    this._heartbeatTimer = setInterval(() => {
+      if (this.wss !== socket) {
+        this._stopHeartbeat();
+        return;
+      }
+
+      if (this._missedHeartbeats >= this.options.heartbeatMaxMissed) {
+        this._handleDeadConnection(socket);
+        return;
+      }
+
+      this._missedHeartbeats++;
+      try {
+        if (nativePing) {
+          nativePing();
+        } else {
+          socket.send(
+            JSON.stringify({ action: 'ping', headers: { issuedAt: new Date().toISOString() } })
+          );
+        }
+      } catch (e) {
+        // A failed beat simply counts as missed
+      }
+    }, intervalMs);
+  }
+
+  _stopHeartbeat() {
+    if (this._heartbeatTimer) {
+      clearInterval(this._heartbeatTimer);
+      this._heartbeatTimer = null;
+    }
+    this._missedHeartbeats = 0;
+  }
+
+  // A half-open socket may never deliver its close event, so detach it and run the
+  // regular onclose path (pending rejection, state change, reconnect) ourselves
+  _handleDeadConnection(socket) {
+    const missed = this._missedHeartbeats;
+    const onclose = socket.onclose;
+    this._stopHeartbeat();
+
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onclose = null;
+    socket.onerror = null;
+    try {
+      if (typeof socket.terminate === 'function') {
+        socket.terminate();
+      } else {
+        socket.close(HEARTBEAT_TIMEOUT_CLOSE_CODE, 'Heartbeat timeout');
+      }
+    } catch (e) {
+      // Ignore errors if WebSocket is in invalid state
+    }
+
+    this.handleError(
+      ErrorCategory.WEBSOCKET,
+      'HEARTBEAT_TIMEOUT',
+      this.formatWebSocketError(
+        new Error(`No heartbeat response after ${missed} attempts; connection considered dead`),
+        { url: this._endpoints.describe() }
+      ).message,
+      { missedHeartbeats: missed }
+    );
+
+    if (typeof onclose === 'function') {
+      onclose({ code: HEARTBEAT_TIMEOUT_CLOSE_CODE, reason: 'Heartbeat timeout', wasClean: false });
+    }
+  }
+
+  // ---- Token Lifecycle ----
+  // Tokens from authenticate() are renewed the same way; everything else goes through tokenProvider()
+  async _fetchToken(source) {
+    if (source === TokenSource.AUTHENTICATE) {
+      try {
+        return await this._tokenManager.fetch(() => this._requestAccessToken(), TokenSource.AUTHENTICATE);
+      } catch (e) {
+        this.handleError(
+          ErrorCategory.AUTHENTICATION,
+          'AUTHENTICATION_FAILED',
+          this.formatAuthenticationError(null, e, null).message,
+          e
+        );
+        return null;
+      }
+    }
+
+    if (typeof this.options.tokenProvider !== 'function') return null;
+    try {
+      return await this._tokenManager.fetch(() => this.options.tokenProvider(), TokenSource.PROVIDER);
+    } catch (e) {
+      this.handleError(
+        ErrorCategory.AUTHENTICATION,
+        'TOKEN_PROVIDER_FAILED',
+        this.formatTokenProviderError(e).message,
+        e
+      );
+      return null;
+    }
+  }
+
+  _scheduleTokenRefresh() {
+    if (!this.options.autoRefreshToken) return;
+    this._tokenManager.scheduleRefresh(() => this._refreshToken());
+  }
+
+  async _refreshToken() {
+    const socket = this.wss;
+    const source = this._tokenManager.current?.source;
+    const token = await this._fetchToken(source);
+    // A failed refresh is already reported; the current connection stays up until it drops
+    // (also bail out if cleanup() ran while the token was being fetched)
+    if (!token || !this._tokenManager) return;
+
+    this.emit(EVENTS.TOKEN_REFRESHED, { expiresAt: this._tokenManager.current.expiresAt, source });
+
+    // Closed or replaced while the token was being fetched
+    if (this.wss !== socket || !this._isSocketOpen()) return;
+    await this._swapSocket(socket, { retireReason: 'Token refreshed', failureReason: 'Token refresh failed' });
+  }
+
+  // The token is only checked during the WebSocket handshake, so a refreshed token needs a new socket
+  // (the same swap moves a connection back to the preferred endpoint).
+  // Sends made during the swap are queued, and requests already in flight keep receiving their
+  // responses on the previous socket until they settle.
+  async _swapSocket(previous, { retireReason, failureReason }) {
+    const inFlightIds = [...this._pending.entries()]
+      .filter(([, entry]) => !entry.queued)
+      .map(([correlationId]) => correlationId);
+
+    this._stopHeartbeat();
+    previous.onopen = null;
+    previous.onclose = null;
+    previous.onerror = null;
+    this.wss = null;
+    this._setState(ConnectionState.RECONNECTING);
+
+    this._swappingSocket = true;
+    try {
+      await this.openConnection();
+    } catch (e) {
+      // Failure is already reported through the error event
+    } finally {
+      this._swappingSocket = false;
+    }
+
+    if (this._isSocketOpen()) {
+      this._retireSocket(previous, inFlightIds, retireReason);
+      return;
+    }
+
+    // Could not re-open: treat it like a dropped connection
+    this._closeDetachedSocket(previous, failureReason);
+    if (this._state === ConnectionState.RECONNECTING && !this._reconnectAttempt) {
+      if (this.options.retryAttempts > 0) {
+        this._scheduleReconnect(1);
+      } else {
+        this._setState(ConnectionState.CLOSED);
+      }
+    }
+  }
+
+  _retireSocket(socket, inFlightIds, reason) {
+    const deadline = Date.now() + (this.options.requestTimeoutMs || 30000);
+    const retire = () => {
+      const busy = inFlightIds.some(correlationId => this._pending?.has(correlationId));
+      if (busy && Date.now() < deadline) {
+        this._retiringSockets.set(socket, setTimeout(retire, 250));
+        return;
+      }
+      this._retiringSockets.delete(socket);
+      this._closeDetachedSocket(socket, reason);
+    };
+    retire();
+  }
 
-    // Per-action convenience (lowercased) - keeping existing behavior
-    if (parsed?.action) {
-      this.emit(`message.${parsed.action}`.toLowerCase(), parsed);
+  _closeDetachedSocket(socket, reason) {
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onclose = null;
+    socket.onerror = null;
+    try {
+      socket.close(1000, reason);
+    } catch (e) {
+      // Ignore errors if WebSocket is in invalid state
     }
+  }
 
-    // Preserve prior schemaRef emission for envelopes - keeping existing behavior
-    if (isEnvelope && parsed.headers.schemaRef) {
-      this.emit(parsed.headers.schemaRef, parsed);
+  // ---- Endpoint Failback ----
+  // After failing over, periodically check whether the preferred endpoint (first in the list)
+  // accepts connections again and move back to it with the same socket swap as a token refresh
+  _scheduleFailback() {
+    this._cancelFailback();
+    if (!(this.options.failbackIntervalMs > 0) || !this._endpoints.canFailBack()) return;
+
+    this._failbackTimer = setTimeout(() => {
+      this._failbackTimer = null;
+      this._tryPreferredEndpoint();
+    }, this.options.failbackIntervalMs);
+  }
+
+  _cancelFailback() {
+    if (this._failbackTimer) {
+      clearTimeout(this._failbackTimer);
+      this._failbackTimer = null;
     }
   }
 
-  _emitError(errObj, action = null) {
-    if (!errObj.timestamp) {
-      errObj.timestamp = new Date().toISOString();
+  async _tryPreferredEndpoint() {
+    const socket = this.wss;
+    const current = this._endpoints.active;
+    if (!socket || this._swappingSocket) return;
+
+    let preferred;
+    try {
+      [preferred] = await this._endpoints.resolve();
+    } catch (e) {
+      // The resolver failing is reported on the next connection attempt; check again later
+    }
+    // Already back on the preferred endpoint
+    if (preferred === current) return;
+    if (!preferred) {
+      this._scheduleFailback();
+      return;
     }
 
-    // Legacy emission (unchanged) - keep emitting structured objects
-    this.emit(LegacyEvents.ERROR, errObj);
+    const buildTarget =
+      typeof __WEBPACK_BUILD_TARGET__ !== 'undefined' ? __WEBPACK_BUILD_TARGET__ : 'unknown';
+    let reachable = false;
+    try {
+      enforceWebSocketScheme(preferred, buildTarget, this.options);
+      const token = this._tokenManager.isFresh()
+        ? this._tokenManager.current.token
+        : await this._fetchToken(this._tokenManager.current?.source);
+      reachable = await this._probeEndpoint(preferred, token);
+    } catch (e) {
+      // An unusable preferred endpoint counts as unreachable
+    }
 
-    // One-time deprecation warning for legacy error events:
-    if (!warnedErrorStringOnce) {
-      warnedErrorStringOnce = true;
-      (this.options?.logger?.warn || console.warn)(
-        '[optave-sdk][deprecation] The "error" (string payload) is deprecated. Please also listen to "superpower.error" for a structured error object.'
-      );
+    // Closed or replaced while probing
+    if (this.wss !== socket || !this._isSocketOpen()) return;
+    if (!reachable) {
+      this._scheduleFailback();
+      return;
     }
 
-    // New event: structured Error object (non-breaking because it's a new event name)
-    const structuredError = makeStructuredError(errObj);
-    this.emit(InboundEvents.SUPERPOWER_ERROR, structuredError);
+    this._endpoints.prefer(preferred);
+    this.emit(EVENTS.ENDPOINT_FAILOVER, {
+      from: current,
+      to: preferred,
+      code: 'PREFERRED_ENDPOINT_AVAILABLE',
+      message: 'Preferred endpoint is reachable again',
+    });
+    await this._swapSocket(socket, {
+      retireReason: 'Switched to preferred endpoint',
+      failureReason: 'Endpoint switch failed',
+    });
+  }
 
-    // Keep existing behavior for EVENTS.ERROR
-    this.emit(EVENTS.ERROR, errObj);
+  // Opens and immediately closes a socket to check that `url` accepts connections
+  _probeEndpoint(url, token) {
+    return new Promise(resolve => {
+      const probe = this._createSocket(url, token);
+      const timer = setTimeout(() => finish(false), this.options.connectionTimeoutMs || 30000);
+      const finish = reachable => {
+        clearTimeout(timer);
+        probe.onopen = null;
+        probe.onclose = null;
+        // Keep a listener: closing a socket that is still connecting reports an error
+        probe.onerror = () => {};
+        try {
+          probe.close(1000, 'Endpoint probe');
+        } catch (e) {
+          // Ignore errors if WebSocket is in invalid state
+        }
+        resolve(reachable);
+      };
+      probe.onopen = () => finish(true);
+      probe.onerror = () => finish(false);
+      probe.onclose = () => finish(false);
+    });
   }
 
   closeConnection() {
+    // An explicit close always stops any reconnect loop in progress
+    this._cancelReconnect();
+    this._stopHeartbeat();
+    this._cancelFailback();
+    this._tokenManager?.cancelRefresh();
+    for (const [socket, timer] of this._retiringSockets || []) {
+      clearTimeout(timer);
+      this._closeDetachedSocket(socket, 'Connection closed by client');
+    }
+    this._retiringSockets?.clear();
+
+    const wasOpen = this._state === ConnectionState.OPEN;
     if (this.wss) {
+      this._setState(ConnectionState.CLOSING);
+
       // Clear all WebSocket event handlers to break circular references
       this.wss.onopen = null;
       this.wss.onmessage = null;
@@ -949,12 +1735,33 @@ class OptaveJavaScriptSDK extends EventEmitter {
       this.wss.close();
       this.wss = null;
     }
+    this._endpoints.markDisconnected();
+    this._setState(ConnectionState.CLOSED);
+
+    // onclose is detached above, so report the client-initiated close here
+    if (wasOpen) {
+      this.emit(EVENTS.CONNECTION_CLOSE, 1000, 'Connection closed by client');
+    }
   }
 
-  selectiveDeepMerge(target, source) {
+  // Alias for closeConnection() matching the typed SDK contract
+  disconnect() {
+    this.closeConnection();
+  }
+
+  // Arrays are replaced unless options.mergeStrategies (or `strategies`) names another
+  // strategy for their dot path, e.g. { 'request.scope.conversations': { mergeBy: 'conversationId' } }
+  selectiveDeepMerge(target, source, strategies = this.options?.mergeStrategies) {
+    return this._mergeAt(target, source, strategies || {}, '');
+  }
+
+  _mergeAt(target, source, strategies, path) {
     if (Array.isArray(target) && Array.isArray(source)) {
-      // If both target and source are arrays, replace target with source
-      return [...source];
+      // Default strategy: replace target with source
+      return mergeArrays(target, source, strategies[path], {
+        defaults: getPath(OptaveJavaScriptSDK.defaultPayload, path),
+        mergeItems: (item, update) => this._mergeAt(item, update, {}, ''),
+      });
     }
 
     // Use more reliable object detection that works across webpack contexts
@@ -966,7 +1773,7 @@ class OptaveJavaScriptSDK extends EventEmitter {
       for (let key in source) {
         if (key in target) {
           // Recursively merge or replace values
-          result[key] = this.selectiveDeepMerge(target[key], source[key]);
+          result[key] = this._mergeAt(target[key], source[key], strategies, path ? `${path}.${key}` : key);
         } else {
           // Add new keys from source that don't exist in target
           result[key] = source[key];
@@ -984,8 +1791,26 @@ class OptaveJavaScriptSDK extends EventEmitter {
       return false;
     }
 
-    // Check if the size is within the limit
-    return payloadString.length / 1024 <= CONSTANTS.MAX_PAYLOAD_SIZE_KB;
+    // Check if the UTF-8 size is within the limit
+    return byteLength(payloadString) <= CONSTANTS.MAX_PAYLOAD_SIZE;
+  }
+
+  // options.fitPayload: trims an oversized envelope's payload (oldest conversation messages, then
+  // oversized offers/metadata). The headers are kept, so the correlationId does not change.
+  _fitEnvelope(envelope) {
+    const measure = payload => byteLength(JSON.stringify({ ...envelope, payload }));
+    const { payload, ...report } = fitPayload(envelope.payload, CONSTANTS.MAX_PAYLOAD_SIZE, measure);
+    const fitted = { ...envelope, payload };
+    return { envelope: fitted, payloadString: JSON.stringify(fitted), report };
+  }
+
+  _emitPayloadFitted(envelope, report) {
+    if (report.dropped.length === 0) return;
+    this.emit(EVENTS.PAYLOAD_FITTED, {
+      correlationId: envelope.headers.correlationId,
+      action: envelope.headers.action,
+      ...report,
+    });
   }
 
   openConnectionAsync(bearerToken) {
@@ -1004,8 +1829,59 @@ class OptaveJavaScriptSDK extends EventEmitter {
     });
   }
 
-  buildPayload(requestType, action, params) {
-    let payload = this.selectiveDeepMerge(OptaveJavaScriptSDK.defaultPayload, params);
+  // options.channelMetadata: true or { exclude, geolocation }. Excluded fields are never sent;
+  // location only comes from the geolocation callback and is added once it resolves.
+  _collectChannelMetadata() {
+    const config = this.options.channelMetadata;
+    if (!config) return {};
+
+    const exclude = new Set(config.exclude || []);
+    const metadata = {};
+    for (const [field, value] of Object.entries(collectChannelMetadata())) {
+      if (!exclude.has(field)) metadata[field] = value;
+    }
+
+    if (typeof config.geolocation === 'function' && !exclude.has('location')) {
+      Promise.resolve()
+        .then(() => config.geolocation())
+        .then(position => {
+          const location = formatLocation(position);
+          // Skip when the SDK was disposed while the callback was pending
+          if (!location || !this._channelMetadata) return;
+          this._channelMetadata = { ...this._channelMetadata, location };
+          this._payloadDefaults = this._buildPayloadDefaults();
+        })
+        .catch(error => {
+          (this.options?.logger?.warn || console.warn)('[Optave SDK] channelMetadata.geolocation failed', error);
+        });
+    }
+    return metadata;
+  }
+
+  // options.organizationId/departmentId/operatorId/userId fill request.context and
+  // options.sessionDefaults fills session.interface/session.channel; request params still win
+  _buildPayloadDefaults() {
+    const context = {};
+    for (const field of CONTEXT_DEFAULT_FIELDS) {
+      if (typeof this.options[field] === 'string' && this.options[field]) {
+        context[field] = this.options[field];
+      }
+    }
+
+    // Collected channel metadata never overrides sessionDefaults.channel (nor, below, the params)
+    const session = {};
+    const { interface: sessionInterface, channel } = this.options.sessionDefaults || {};
+    if (sessionInterface) session.interface = sessionInterface;
+    if (channel || Object.keys(this._channelMetadata).length > 0) {
+      session.channel = { ...this._channelMetadata, ...channel };
+    }
+
+    return this.selectiveDeepMerge(OptaveJavaScriptSDK.defaultPayload, { session, request: { context } });
+  }
+
+  // `touchSession: false` builds the payload without counting as session activity (dry runs)
+  buildPayload(requestType, action, params, { touchSession = true } = {}) {
+    let payload = this.selectiveDeepMerge(this._payloadDefaults, params);
     // Legacy alias mapping (variation -> variant) with deprecation notice
     if (params?.request?.variation) {
       this.deprecate(
@@ -1023,10 +1899,22 @@ class OptaveJavaScriptSDK extends EventEmitter {
       );
     }
 
+    // An explicit params.session.sessionId wins over the managed / setSessionId() ID
+    const sessionId = this._currentSessionId({ touch: touchSession });
+    if (sessionId && !payload.session.sessionId) {
+      // Copy: without params.session the merge returns the shared defaults object
+      payload.session = { ...payload.session, sessionId };
+    }
+
     // Ensure variant is properly set and uppercase
     if (payload.request.attributes.variant) {
       payload.request.attributes.variant = payload.request.attributes.variant.toUpperCase();
     }
+
+    // Drop unset placeholders (empty strings, `products: [{ id: '' }]`, ...) before serialization
+    if (this.options.pruneEmptyDefaults) {
+      payload = pruneEmptyDefaults(payload, OptaveJavaScriptSDK.defaultPayload);
+    }
     return payload;
   }
 
@@ -1055,8 +1943,10 @@ class OptaveJavaScriptSDK extends EventEmitter {
       timestamp,
       issuedAt,
     };
-    if (this.options.tenantId) {
-      headers.tenantId = this.options.tenantId;
+    // Per-request tenant (params.headers.tenantId) takes precedence over options.tenantId
+    const tenantId = headerOverrides.tenantId || this.options.tenantId;
+    if (tenantId) {
+      headers.tenantId = tenantId;
     }
     if (headerOverrides.networkLatencyMs !== undefined) {
       headers.networkLatencyMs = headerOverrides.networkLatencyMs;
@@ -1242,42 +2132,16 @@ class OptaveJavaScriptSDK extends EventEmitter {
     let message = `Payload too large: ${actualKB}KB exceeds maximum ${maxKB}KB (${overageKB}KB over limit)`;
     const suggestions = [];
 
-    // Analyze payload for optimization suggestions
-    if (payload && typeof payload === 'object') {
-      const payloadStr = JSON.stringify(payload);
-
-      // Check for large conversation arrays
-      if (
-        payload.request?.scope?.conversations &&
-        Array.isArray(payload.request.scope.conversations)
-      ) {
-        const conversationsSize = JSON.stringify(payload.request.scope.conversations).length;
-        const conversationsKB = Math.ceil(conversationsSize / 1024);
-        if (conversationsKB > 10) {
-          // If conversations are more than 10KB
-          suggestions.push(
-            `Consider reducing conversation history - current size: ~${conversationsKB}KB`
-          );
-          suggestions.push('Remove older messages or summarize conversation context');
-        }
-      }
-
-      // Check for large offers arrays
-      if (payload.request?.resources?.offers && Array.isArray(payload.request.resources.offers)) {
-        const offersSize = JSON.stringify(payload.request.resources.offers).length;
-        const offersKB = Math.ceil(offersSize / 1024);
-        if (offersKB > 5) {
-          suggestions.push(`Consider reducing product offers data - current size: ~${offersKB}KB`);
-        }
-      }
-
-      // Check for large metadata
-      if (payload.session?.channel?.metadata && Array.isArray(payload.session.channel.metadata)) {
-        const metadataSize = JSON.stringify(payload.session.channel.metadata).length;
-        const metadataKB = Math.ceil(metadataSize / 1024);
-        if (metadataKB > 2) {
-          suggestions.push(`Consider reducing metadata array - current size: ~${metadataKB}KB`);
-        }
+    // Analyze payload for optimization suggestions (the same sections options.fitPayload trims)
+    for (const section of analyzePayloadSize(payload)) {
+      if (!section.oversized) continue;
+      if (section.name === 'conversations') {
+        suggestions.push(`Consider reducing conversation history - current size: ~${section.kb}KB`);
+        suggestions.push('Remove older messages or summarize conversation context');
+      } else if (section.name === 'offers') {
+        suggestions.push(`Consider reducing product offers data - current size: ~${section.kb}KB`);
+      } else {
+        suggestions.push(`Consider reducing metadata array - current size: ~${section.kb}KB`);
       }
     }
 
@@ -1348,10 +2212,251 @@ class OptaveJavaScriptSDK extends EventEmitter {
     this._emitError(errObj);
   }
 
+  // ---- Outbound Queue ----
+  // Messages are buffered only while a connection is being (re-)established
+  _canQueue() {
+    return (
+      this.options.queueMaxSize > 0 &&
+      (this._state === ConnectionState.CONNECTING || this._state === ConnectionState.RECONNECTING)
+    );
+  }
+
+  _enqueueOutbound(envelope, payloadString, { onDrop, onSent = null, isStale = null }) {
+    return this._outboundQueue.enqueue({
+      correlationId: envelope.headers.correlationId,
+      envelope,
+      payloadString,
+      onDrop,
+      onSent,
+      isStale,
+    });
+  }
+
+  // Returns the correlationIds written to the socket so the outbox replay can skip them
+  _flushOutboundQueue() {
+    const sentIds = new Set();
+    for (const item of this._outboundQueue.drain()) {
+      // Promise-based requests that timed out or were cancelled while queued are skipped
+      if (typeof item.isStale === 'function' && item.isStale()) continue;
+      try {
+        this.wss.send(item.payloadString);
+        sentIds.add(item.correlationId);
+        if (typeof item.onSent === 'function') item.onSent();
+        this.emit(EVENTS.MESSAGE_SENT, item.envelope);
+      } catch (e) {
+        item.onDrop({ code: 'SEND_FAILED', message: 'Failed to send over WebSocket', details: e });
+      }
+    }
+    return sentIds;
+  }
+
+  // ---- Durable Outbox ----
+  _resolveOutboxStore() {
+    const outbox = this.options.outbox;
+    if (!outbox) return null;
+    if (typeof outbox === 'object') return outbox;
+
+    const store = createDefaultOutboxStore(this.options);
+    if (!store) {
+      (this.options?.logger?.warn || console.warn)(
+        '[Optave SDK] options.outbox is enabled but no persistent storage is available in this environment; messages will not survive a reload. Pass a custom store via options.outbox.'
+      );
+    }
+    return store;
+  }
+
+  // Runs a store operation after every earlier one; failures are logged, never thrown
+  _outboxOp(operation, fn) {
+    const store = this._outbox;
+    this._outboxChain = this._outboxChain
+      .then(() => fn(store))
+      .catch(error => {
+        (this.options?.logger?.warn || console.warn)(`[Optave SDK] Outbox ${operation} failed`, error);
+      });
+    return this._outboxChain;
+  }
+
+  _persistOutbound(envelope, payloadString) {
+    if (!this._outbox) return;
+    const entry = {
+      id: envelope.headers.correlationId,
+      action: envelope.headers.action,
+      idempotencyKey: envelope.headers.idempotencyKey,
+      payloadString,
+      createdAt: Date.now(),
+    };
+    this._outboxOp('save', store => store.save(entry));
+  }
+
+  _removeFromOutbox(correlationId) {
+    if (!this._outbox) return;
+    this._outboxOp('remove', store => store.remove(correlationId));
+  }
+
+  // Re-sends envelopes persisted before this socket opened that never got a final response.
+  // The stored string is replayed as-is, so the server sees the original idempotencyKey.
+  async _replayOutbox(skipIds, openedAt) {
+    if (!this._outbox) return;
+    const socket = this.wss;
+    const entries = await this._outboxOp('load', store => store.load());
+    if (!Array.isArray(entries) || this.wss !== socket || !this._isSocketOpen()) return;
+
+    const maxAgeMs = this.options.outboxMaxAgeMs;
+    const replayedIds = [];
+    const ordered = entries.filter(e => e && e.id).sort((a, b) => a.createdAt - b.createdAt);
+    for (const entry of ordered) {
+      // Sent on this socket already (flushed from the queue, in flight, or sent after open)
+      if (skipIds.has(entry.id) || this._pending.has(entry.id) || entry.createdAt >= openedAt) {
+        continue;
+      }
+      if (maxAgeMs > 0 && Date.now() - entry.createdAt > maxAgeMs) {
+        this._removeFromOutbox(entry.id);
+        continue;
+      }
+
+      let envelope;
+      try {
+        envelope = JSON.parse(entry.payloadString);
+      } catch (e) {
+        this._removeFromOutbox(entry.id);
+        continue;
+      }
+
+      try {
+        socket.send(entry.payloadString);
+      } catch (e) {
+        // Socket went away mid-replay; the remaining entries are retried on the next open
+        break;
+      }
+      replayedIds.push(entry.id);
+      this.emit(EVENTS.MESSAGE_SENT, envelope);
+    }
+
+    if (replayedIds.length > 0) {
+      this.emit(EVENTS.OUTBOX_REPLAYED, { count: replayedIds.length, correlationIds: replayedIds });
+    }
+  }
+
+  /**
+   * Dry run of send(): runs the same checks and builds the envelope, but never touches the
+   * socket, queue or outbox and emits nothing, so it also works without a connection.
+   * Unlike send(), every check runs, so one report lists all problems.
+   * @param {string} action
+   * @param {Object} [params] - Same params as sdk.<action>(params)
+   * @returns {{ valid: boolean, errors: Array, envelope: Object, serialized: string,
+   *   checks: Object, size: { bytes: number, maxKb: number, valid: boolean }, fit: Object|null }}
+   *   `errors` holds `{ category, code, message, details }` for every check send() would fail;
+   *   `checks` has the individual results (schema.enforced is false without strictValidation);
+   *   `fit` is the options.fitPayload report when the envelope had to be trimmed.
+   */
+  preview(action, params = {}) {
+    const requestType = 'message';
+    const errors = [];
+
+    const knownAction = this._actions.has(action);
+    if (!knownAction) {
+      errors.push({
+        category: ErrorCategory.VALIDATION,
+        code: 'INVALID_ACTION',
+        message: `Unsupported action '${action}'. Allowed: ${this._actions.names().join(', ')}`,
+        details: { allowed: this._actions.names() },
+      });
+    }
+
+    // Same top-level check as send()
+    const allowedTopLevel = new Set(['session', 'request', 'headers']);
+    const topLevelErrors = Object.keys(params || {})
+      .filter(k => !allowedTopLevel.has(k))
+      .map(k => ({
+        instancePath: '',
+        keyword: 'additionalProperties',
+        params: { additionalProperty: k },
+        message: `must NOT have additional property '${k}'`,
+      }));
+    if (topLevelErrors.length > 0) {
+      errors.push({
+        category: ErrorCategory.VALIDATION,
+        code: 'PAYLOAD_SCHEMA_MISMATCH',
+        message: this.formatValidationErrorMessage(topLevelErrors),
+        details: topLevelErrors,
+      });
+    }
+
+    // Reads the session ID without starting or extending a session
+    const payload = this.buildPayload(requestType, action, params || {}, { touchSession: false });
+
+    const requiredFields = this.validateRequiredFields(payload || {}, action);
+    if (!requiredFields.isValid) {
+      errors.push({
+        category: ErrorCategory.VALIDATION,
+        code: 'REQUIRED_FIELDS_MISSING',
+        message: `Missing required fields for action '${action}': ${requiredFields.errors.join(', ')}`,
+        details: requiredFields.errors,
+      });
+    }
+
+    // Always run the schema so the report shows it; send() only enforces it with strictValidation
+    const schemaResult = this._validatePayload(payload);
+    const schema = {
+      valid: schemaResult.valid,
+      errors: schemaResult.errors || [],
+      enforced: Boolean(this.options.strictValidation),
+    };
+    if (!schema.valid && schema.enforced) {
+      errors.push({
+        category: ErrorCategory.VALIDATION,
+        code: 'PAYLOAD_SCHEMA_MISMATCH',
+        message: this.formatValidationErrorMessage(schema.errors, 'Schema validation failed'),
+        details: schema.errors,
+      });
+    }
+
+    // Generated header IDs (traceId, idempotencyKey, ...) differ from a later send() unless set in params.headers
+    let envelope = this.buildMessageEnvelope(payload, requestType, action, params?.headers || {});
+    let serialized = JSON.stringify(envelope);
+    let fit = null;
+    if (!this.isPayloadSizeValid(serialized) && this.options.fitPayload) {
+      ({ envelope, payloadString: serialized, report: fit } = this._fitEnvelope(envelope));
+    }
+    const size = {
+      bytes: byteLength(serialized),
+      maxKb: CONSTANTS.MAX_PAYLOAD_SIZE_KB,
+      valid: this.isPayloadSizeValid(serialized),
+    };
+    if (!size.valid) {
+      errors.push({
+        category: ErrorCategory.VALIDATION,
+        code: 'PAYLOAD_TOO_LARGE',
+        message: this.formatPayloadSizeError(size.bytes, CONSTANTS.MAX_PAYLOAD_SIZE_KB, envelope).message,
+        details: { maxKb: CONSTANTS.MAX_PAYLOAD_SIZE_KB, fit },
+      });
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      envelope,
+      serialized,
+      checks: {
+        action: { valid: knownAction },
+        topLevelKeys: { valid: topLevelErrors.length === 0, errors: topLevelErrors },
+        requiredFields,
+        schema,
+      },
+      size,
+      fit,
+    };
+  }
+
   send(requestType, action, params) {
-    const OPEN =
-      (this.WebSocketImpl && this.WebSocketImpl.OPEN) != null ? this.WebSocketImpl.OPEN : 1;
-    if (!(this.wss && this.wss.readyState === OPEN)) {
+    this._sendMessage(requestType, action, params);
+  }
+
+  // send() reporting whether the envelope was sent or queued; false when it was rejected
+  // (the reason has been reported through handleError)
+  _sendMessage(requestType, action, params) {
+    const queueable = !this._isSocketOpen() && this._canQueue();
+    if (!this._isSocketOpen() && !queueable) {
       const readyState = this.wss ? this.wss.readyState : 'no connection';
       this.handleError(
         ErrorCategory.WEBSOCKET,
@@ -1361,15 +2466,15 @@ class OptaveJavaScriptSDK extends EventEmitter {
           action,
         }).message
       );
-      return;
+      return false;
     }
-    if (!ALLOWED_ACTIONS.has(action)) {
+    if (!this._actions.has(action)) {
       this.handleError(
         ErrorCategory.VALIDATION,
         'INVALID_ACTION',
-        `Unsupported action '${action}'. Allowed: ${[...ALLOWED_ACTIONS].join(', ')}`
+        `Unsupported action '${action}'. Allowed: ${this._actions.names().join(', ')}`
       );
-      return;
+      return false;
     }
 
     // Lightweight additional-property detection BEFORE merge (top-level only)
@@ -1390,7 +2495,7 @@ class OptaveJavaScriptSDK extends EventEmitter {
           this.formatValidationErrorMessage(errors),
           errors
         );
-        return;
+        return false;
       }
     }
 
@@ -1408,7 +2513,7 @@ class OptaveJavaScriptSDK extends EventEmitter {
         )}`,
         requiredFieldValidation.errors
       );
-      return;
+      return false;
     }
 
     // Then do full schema validation if enabled
@@ -1421,39 +2526,56 @@ class OptaveJavaScriptSDK extends EventEmitter {
           this.formatValidationErrorMessage(schemaResult.errors, 'Schema validation failed'),
           schemaResult.errors
         );
-        return;
+        return false;
       }
     }
 
-    const envelope = this.buildMessageEnvelope(payload, requestType, action, params?.headers || {});
-    const payloadString = JSON.stringify(envelope);
+    let envelope = this.buildMessageEnvelope(payload, requestType, action, params?.headers || {});
+    let payloadString = JSON.stringify(envelope);
+
+    if (!this.isPayloadSizeValid(payloadString) && this.options.fitPayload) {
+      let report;
+      ({ envelope, payloadString, report } = this._fitEnvelope(envelope));
+      this._emitPayloadFitted(envelope, report);
+    }
 
     if (!this.isPayloadSizeValid(payloadString)) {
-      const actualSize = payloadString.length; // Size in bytes
+      const actualSize = byteLength(payloadString);
       this.handleError(
         ErrorCategory.VALIDATION,
         'PAYLOAD_TOO_LARGE',
         this.formatPayloadSizeError(actualSize, CONSTANTS.MAX_PAYLOAD_SIZE_KB, envelope).message,
         CONSTANTS.MAX_PAYLOAD_SIZE_KB
       );
-      return;
+      return false;
+    }
+
+    this._persistOutbound(envelope, payloadString);
+
+    if (queueable) {
+      const correlationId = envelope.headers.correlationId;
+      return this._enqueueOutbound(envelope, payloadString, {
+        onDrop: ({ code, message, details }) => {
+          this._removeFromOutbox(correlationId);
+          this.handleError(
+            ErrorCategory.WEBSOCKET,
+            code,
+            message,
+            details || { correlationId, action },
+            [],
+            correlationId
+          );
+        },
+      });
     }
+
     this.wss.send(payloadString);
+    this.emit(EVENTS.MESSAGE_SENT, envelope);
+    return true;
   }
 
-  // The following functions send messages of a specific type to the WebSocket
-  adjust(params) {
-    return this.send('message', 'adjust', params);
-  }
-  elevate(params) {
-    return this.send('message', 'elevate', params);
-  }
-  interaction(params) {
-    return this.send('message', 'interaction', params);
-  }
-  reception(params) {
-    return this.send('message', 'reception', params);
-  }
+  // adjust(), elevate(), interaction(), ... are generated from ACTION_DEFINITIONS below the class
+
   // Deprecated alias (will be removed in a future major version)
   customerInteraction(params) {
     this.deprecate(
@@ -1462,21 +2584,20 @@ class OptaveJavaScriptSDK extends EventEmitter {
     );
     return this.send('message', 'customerInteraction', params);
   }
-  summarize(params) {
-    return this.send('message', 'summarize', params);
-  }
-  translate(params) {
-    return this.send('message', 'translate', params);
-  }
-  recommend(params) {
-    return this.send('message', 'recommend', params);
-  }
-  insights(params) {
-    return this.send('message', 'insights', params);
+
+  /**
+   * summarize() for conversations that exceed MAX_PAYLOAD_SIZE_KB: summarizes chunks that fit
+   * (at most opts.concurrency at a time), then the partial summaries. See summarize-long.js.
+   * @param {Object} params - summarize params
+   * @param {{ concurrency?: number, maxBytes?: number, extractSummary?: Function, timeoutMs?: number }} [opts]
+   * @returns {Promise<Object>} Response of the final summarize request
+   */
+  summarizeLong(params, opts) {
+    return summarizeInChunks(this, params, opts);
   }
 
   // ----- Promise-based Request API -----
-  _registerPending(correlationId, action, timeoutMs, resolve, reject) {
+  _registerPending(correlationId, action, timeoutMs, resolve, reject, streamOpts = {}) {
     let timer = null;
 
     // Only set up timeout if timeoutMs is greater than 0
@@ -1489,6 +2610,7 @@ class OptaveJavaScriptSDK extends EventEmitter {
           if (entry && !entry._handled) {
             this._pending.delete(correlationId);
             entry._handled = true; // Mark as handled
+            this._removeFromOutbox(correlationId); // the caller has given up on this request
             reject({
               category: ErrorCategory.WEBSOCKET,
               code: 'REQUEST_TIMEOUT',
@@ -1501,7 +2623,20 @@ class OptaveJavaScriptSDK extends EventEmitter {
       }, timeoutMs);
     }
 
-    this._pending.set(correlationId, { resolve, reject, timer, action, _handled: false });
+    this._pending.set(correlationId, {
+      resolve,
+      reject,
+      timer,
+      action,
+      onChunk: streamOpts.onChunk || null,
+      aggregate: streamOpts.aggregate !== false,
+      // Streaming state: number of frames received and the results accumulated so far
+      frames: 0,
+      results: [],
+      // True while the envelope waits in the outbound queue (not yet on the wire)
+      queued: false,
+      _handled: false,
+    });
   }
 
   _promiseSend(requestType, action, params = {}, opts = {}) {
@@ -1520,7 +2655,8 @@ class OptaveJavaScriptSDK extends EventEmitter {
           ? opts.timeout
           : this.options.requestTimeoutMs;
 
-      if (!this.wss || this.wss.readyState !== WebSocket.OPEN) {
+      const queueable = !this._isSocketOpen() && this._canQueue();
+      if (!this._isSocketOpen() && !queueable) {
         // If no timeout is specified, fail immediately with WebSocket state error
         if (timeoutMs <= 0) {
           reject({
@@ -1542,15 +2678,15 @@ class OptaveJavaScriptSDK extends EventEmitter {
           params?.headers || {}
         );
         correlationId = envelope.headers.correlationId;
-        this._registerPending(correlationId, action, timeoutMs, resolve, reject);
+        this._registerPending(correlationId, action, timeoutMs, resolve, reject, opts);
         return; // Let timeout handle the rejection
       }
-      if (!ALLOWED_ACTIONS.has(action)) {
+      if (!this._actions.has(action)) {
         reject({
           category: ErrorCategory.VALIDATION,
           code: 'INVALID_ACTION',
           message: `Unsupported action '${action}'.`,
-          details: { allowed: [...ALLOWED_ACTIONS] },
+          details: { allowed: this._actions.names() },
         });
         return;
       }
@@ -1605,7 +2741,7 @@ class OptaveJavaScriptSDK extends EventEmitter {
           return;
         }
       }
-      const envelope = this.buildMessageEnvelope(
+      let envelope = this.buildMessageEnvelope(
         payload,
         requestType,
         action,
@@ -1613,12 +2749,14 @@ class OptaveJavaScriptSDK extends EventEmitter {
       );
       correlationId = envelope.headers.correlationId; // Assign to outer scope variable
 
-      // Register timeout for normal WebSocket flow
-      this._registerPending(correlationId, action, timeoutMs, resolve, reject);
-
-      const payloadString = JSON.stringify(envelope);
+      let payloadString = JSON.stringify(envelope);
+      let fit = null;
+      if (!this.isPayloadSizeValid(payloadString) && this.options.fitPayload) {
+        ({ envelope, payloadString, report: fit } = this._fitEnvelope(envelope));
+        this._emitPayloadFitted(envelope, fit);
+      }
       if (!this.isPayloadSizeValid(payloadString)) {
-        const actualSize = payloadString.length; // Size in bytes
+        const actualSize = byteLength(payloadString);
         const errorMessage = this.formatPayloadSizeError(
           actualSize,
           CONSTANTS.MAX_PAYLOAD_SIZE_KB,
@@ -1628,13 +2766,48 @@ class OptaveJavaScriptSDK extends EventEmitter {
           category: ErrorCategory.VALIDATION,
           code: 'PAYLOAD_TOO_LARGE',
           message: errorMessage,
-          details: { maxKb: CONSTANTS.MAX_PAYLOAD_SIZE_KB },
+          details: { maxKb: CONSTANTS.MAX_PAYLOAD_SIZE_KB, fit },
+        });
+        return;
+      }
+
+      // Register timeout for normal WebSocket flow (only once the envelope can actually be sent)
+      this._registerPending(correlationId, action, timeoutMs, resolve, reject, opts);
+
+      this._persistOutbound(envelope, payloadString);
+
+      if (queueable) {
+        this._pending.get(correlationId).queued = true;
+        this._enqueueOutbound(envelope, payloadString, {
+          isStale: () => !this._pending.has(correlationId),
+          onSent: () => {
+            const entry = this._pending.get(correlationId);
+            if (entry) entry.queued = false;
+          },
+          onDrop: ({ code, message, details }) => {
+            this._removeFromOutbox(correlationId);
+            const entry = this._pending.get(correlationId);
+            if (!entry) return;
+            if (entry.timer) {
+              clearTimeout(entry.timer);
+            }
+            entry._handled = true;
+            this._pending.delete(correlationId);
+            reject({
+              category: ErrorCategory.WEBSOCKET,
+              code,
+              message,
+              details: details || { correlationId, action },
+              correlationId,
+            });
+          },
         });
         return;
       }
 
       try {
         this.wss.send(payloadString);
+        this.emit(EVENTS.MESSAGE_SENT, envelope);
       } catch (e) {
         if (this._pending.has(correlationId)) {
           const entry = this._pending.get(correlationId);
@@ -1662,19 +2835,8 @@ class OptaveJavaScriptSDK extends EventEmitter {
     return promise;
   }
 
-  // Promise-based helpers (suffix Async)
-  adjustAsync(params, opts) {
-    return this._promiseSend('message', 'adjust', params, opts);
-  }
-  elevateAsync(params, opts) {
-    return this._promiseSend('message', 'elevate', params, opts);
-  }
-  interactionAsync(params, opts) {
-    return this._promiseSend('message', 'interaction', params, opts);
-  }
-  receptionAsync(params, opts) {
-    return this._promiseSend('message', 'reception', params, opts);
-  }
+  // Promise-based helpers (suffix Async) are generated with the action methods below the class
+
   // Deprecated alias
   customerInteractionAsync(params, opts) {
     this.deprecate(
@@ -1683,17 +2845,123 @@ class OptaveJavaScriptSDK extends EventEmitter {
     );
     return this._promiseSend('message', 'customerInteraction', params, opts);
   }
-  summarizeAsync(params, opts) {
-    return this._promiseSend('message', 'summarize', params, opts);
+
+  // ----- Async-iterator Streaming API -----
+  // Yields every inbound frame correlated to the request until the 'completed' frame.
+  // Remote errors are thrown from the iterator; cancelRequest() ends the iteration cleanly.
+  _streamSend(requestType, action, params = {}, opts = {}) {
+    const frames = [];
+    let settled = false;
+    let failure = null;
+    let wake = null;
+
+    const notify = () => {
+      if (wake) {
+        const resume = wake;
+        wake = null;
+        resume();
+      }
+    };
+
+    const promise = this._promiseSend(requestType, action, params, {
+      ...opts,
+      aggregate: false, // the final frame is yielded as received
+      onChunk: (frame, info) => {
+        frames.push(frame);
+        notify();
+        if (typeof opts.onChunk === 'function') {
+          opts.onChunk(frame, info);
+        }
+      },
+    });
+
+    promise.then(
+      frame => {
+        frames.push(frame);
+        settled = true;
+        notify();
+      },
+      error => {
+        failure = error;
+        settled = true;
+        notify();
+      }
+    );
+
+    const sdk = this;
+    const iterator = (async function* () {
+      try {
+        while (true) {
+          if (frames.length > 0) {
+            yield frames.shift();
+            continue;
+          }
+          if (settled) break;
+          await new Promise(resolve => {
+            wake = resolve;
+          });
+        }
+        if (failure && failure.code !== 'REQUEST_CANCELLED') {
+          throw failure;
+        }
+      } finally {
+        // Consumer left the loop early (break/return/throw): release the pending entry
+        if (!settled) {
+          sdk.cancelRequest(promise.correlationId);
+        }
+      }
+    })();
+
+    // Expose correlationId so callers can cancelRequest() from outside the loop
+    iterator.correlationId = promise.correlationId;
+    return iterator;
   }
-  translateAsync(params, opts) {
-    return this._promiseSend('message', 'translate', params, opts);
+
+  // Streaming helpers: for await (const frame of sdk.stream.summarize(params)) { ... }
+  get stream() {
+    if (!this._streamApi) {
+      this._streamApi = {
+        // Deprecated alias
+        customerInteraction: (params, opts) => {
+          this.deprecate(
+            'method.stream.customerInteraction',
+            "[Deprecation] 'stream.customerInteraction' is deprecated; use 'stream.interaction' instead."
+          );
+          return this._streamSend('message', 'customerInteraction', params, opts);
+        },
+      };
+      for (const action of this._actions.currentNames()) {
+        this._streamApi[action] = (params, opts) => this._streamSend('message', action, params, opts);
+      }
+    }
+    return this._streamApi;
   }
-  recommendAsync(params, opts) {
-    return this._promiseSend('message', 'recommend', params, opts);
+
+  // Fluent builders: sdk.build.recommend().thread(id).conversation(c).offers([...]).send()
+  get build() {
+    if (!this._buildApi) {
+      this._buildApi = {};
+      for (const action of this._actions.currentNames()) {
+        this._buildApi[action] = () => new PayloadBuilder(this, action);
+      }
+    }
+    return this._buildApi;
   }
-  insightsAsync(params, opts) {
-    return this._promiseSend('message', 'insights', params, opts);
+
+  /**
+   * Conversation thread that fills threadId, parentId and scope.conversations for its requests.
+   * Repeated calls with the same threadId return the same Thread until it is disposed.
+   * @param {string} [threadId] - Default: a new UUIDv7
+   * @param {Object} [init] - Initial conversationId, parentId, participants and messages (first call only)
+   * @returns {Thread}
+   */
+  thread(threadId = uuidv7(), init) {
+    let thread = this._threads.get(threadId);
+    if (!thread) {
+      thread = new Thread(this, threadId, init);
+      this._threads.set(threadId, thread);
+    }
+    return thread;
   }
 
   cancelRequest(correlationId) {
@@ -1706,6 +2974,7 @@ class OptaveJavaScriptSDK extends EventEmitter {
       // Mark as handled to prevent timeout from firing
       entry._handled = true;
       this._pending.delete(correlationId);
+      this._removeFromOutbox(correlationId);
 
       // Use setTimeout to allow any existing .catch() handlers to be attached
       setTimeout(() => {
@@ -1783,6 +3052,10 @@ class OptaveJavaScriptSDK extends EventEmitter {
     // Note: No timeout cleanup needed since we use queueMicrotask() instead of setTimeout()
     // queueMicrotask() doesn't require manual cleanup as it doesn't hold references
 
+    // Threads detach their response listeners, so dispose them before the emitter is torn down
+    this._threads?.forEach(thread => thread.dispose());
+    this._threads = null;
+
     // Clear internal data structures
     if (this._deprecatedKeys) {
       this._deprecatedKeys.clear();
@@ -1839,6 +3112,18 @@ class OptaveJavaScriptSDK extends EventEmitter {
     this._handleInbound = null;
     this._promiseSend = null;
     this._registerPending = null;
+    this._streamSend = null;
+    this._streamApi = null;
+    this._buildApi = null;
+    this._outboundQueue = null;
+    this._outbox = null;
+    this._payloadDefaults = null;
+    this._channelMetadata = null;
+    this._sessionManager?.dispose();
+    this._sessionManager = null;
+    this._tokenManager?.clear();
+    this._tokenManager = null;
+    this._retiringSockets = null;
     this._warnOnce = null;
 
     // Clear object references completely
@@ -1900,8 +3185,15 @@ class OptaveJavaScriptSDK extends EventEmitter {
   }
 }
 
+// <action>() / <action>Async() helpers for the built-in actions; registerAction() adds them per instance
+for (const [action, rules] of Object.entries(ACTION_DEFINITIONS)) {
+  if (!rules.deprecated) {
+    defineActionHelpers(OptaveJavaScriptSDK.prototype, action);
+  }
+}
+
 // Export as both named and default to work with UMD without getter patterns
 // UMD builds: globalThis.OptaveJavaScriptSDK (via default export)
 // ESM builds: import { OptaveJavaScriptSDK } from '@optave/client-sdk'
-export { OptaveJavaScriptSDK };
+export { OptaveJavaScriptSDK, validateOptions };
 export default OptaveJavaScriptSDK;
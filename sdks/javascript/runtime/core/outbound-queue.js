@@ -0,0 +1,151 @@
+/**
+ * Bounded outbound queue for the Optave SDK
+ *
+ * Buffers fully built message envelopes while the WebSocket is connecting or
+ * reconnecting so they can be flushed, in order, once the socket opens.
+ */
+
+/**
+ * What happens when a message is queued while the queue is full
+ * @readonly
+ * @enum {string}
+ */
+export const QueueOverflowPolicy = Object.freeze({
+    /** Evict the oldest queued message to make room for the new one */
+    REJECT_OLDEST: 'reject-oldest',
+
+    /** Reject the new message and keep the queue as it is */
+    REJECT_NEWEST: 'reject-newest',
+
+    /** Park the new message until room frees up (it still expires after ttlMs); at most
+     *  maxWaiting messages are parked, further ones are rejected */
+    BLOCK: 'block'
+});
+
+/**
+ * FIFO queue of outbound items. Each item is an object with at least:
+ * - `payloadString` – serialized envelope to write to the socket
+ * - `onDrop({ code, message })` – called when the item leaves the queue without being sent
+ */
+export class OutboundQueue {
+    /**
+     * @param {Object} params
+     * @param {number} params.maxSize - Maximum number of queued items
+     * @param {string} [params.overflow] - One of QueueOverflowPolicy (default: reject-newest)
+     * @param {number} [params.ttlMs] - Per-item expiry in ms (0 = never expires)
+     * @param {number} [params.maxWaiting] - Items the 'block' policy parks beyond maxSize (default: maxSize)
+     */
+    constructor({ maxSize, overflow = QueueOverflowPolicy.REJECT_NEWEST, ttlMs = 0, maxWaiting = maxSize }) {
+        this.maxSize = maxSize;
+        this.maxWaiting = maxWaiting;
+        this.overflow = overflow;
+        this.ttlMs = ttlMs;
+        this._items = [];
+        this._waiting = []; // only used by the 'block' policy
+    }
+
+    get size() {
+        return this._items.length + this._waiting.length;
+    }
+
+    /**
+     * Adds an item according to the overflow policy
+     * @param {Object} item
+     * @returns {boolean} True if the item was accepted (queued or parked)
+     */
+    enqueue(item) {
+        if (this._items.length < this.maxSize) {
+            this._track(item);
+            this._items.push(item);
+            return true;
+        }
+
+        switch (this.overflow) {
+            case QueueOverflowPolicy.REJECT_OLDEST: {
+                const oldest = this._items.shift();
+                this._drop(oldest, 'QUEUE_OVERFLOW',
+                    `Message evicted from the outbound queue (max ${this.maxSize}) to make room for a newer one`);
+                this._track(item);
+                this._items.push(item);
+                return true;
+            }
+            case QueueOverflowPolicy.BLOCK:
+                if (this._waiting.length >= this.maxWaiting) {
+                    this._drop(item, 'QUEUE_FULL',
+                        `Outbound queue is full (max ${this.maxSize} queued, ${this.maxWaiting} waiting); message rejected`);
+                    return false;
+                }
+                this._track(item);
+                this._waiting.push(item);
+                return true;
+            default:
+                this._drop(item, 'QUEUE_FULL',
+                    `Outbound queue is full (max ${this.maxSize}); message rejected`);
+                return false;
+        }
+    }
+
+    /**
+     * Removes and returns every queued item in FIFO order (parked items last)
+     * @returns {Array<Object>}
+     */
+    drain() {
+        const items = [...this._items, ...this._waiting];
+        this._items = [];
+        this._waiting = [];
+        items.forEach(item => this._untrack(item));
+        return items;
+    }
+
+    /**
+     * Drops every queued item with the given reason
+     * @param {string} code
+     * @param {string} message
+     */
+    clear(code, message) {
+        for (const item of this.drain()) {
+            this._notify(item, code, message);
+        }
+    }
+
+    _track(item) {
+        if (this.ttlMs > 0) {
+            item._expiryTimer = setTimeout(() => this._expire(item), this.ttlMs);
+        }
+    }
+
+    _untrack(item) {
+        if (item._expiryTimer) {
+            clearTimeout(item._expiryTimer);
+            item._expiryTimer = null;
+        }
+    }
+
+    _expire(item) {
+        const index = this._items.indexOf(item);
+        if (index > -1) {
+            this._items.splice(index, 1);
+            // Room freed up: admit the longest-waiting parked item
+            if (this._waiting.length > 0) {
+                this._items.push(this._waiting.shift());
+            }
+        } else {
+            const waitingIndex = this._waiting.indexOf(item);
+            if (waitingIndex === -1) return;
+            this._waiting.splice(waitingIndex, 1);
+        }
+        this._drop(item, 'QUEUE_ENTRY_EXPIRED',
+            `Queued message expired after ${this.ttlMs}ms before the connection opened`);
+    }
+
+    _drop(item, code, message) {
+        this._untrack(item);
+        this._notify(item, code, message);
+    }
+
+    _notify(item, code, message) {
+        if (typeof item.onDrop === 'function') {
+            item.onDrop({ code, message });
+        }
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Fluent payload builders for the Optave SDK
+ *
+ * `sdk.build.<action>()` returns a PayloadBuilder that assembles the `session` / `request`
+ * params for one action step by step:
+ *
+ *   sdk.build.recommend().thread(id).conversation(c).offers([...]).send();
+ *
+ * The setters come from the Payload schema (generated/payload-builders.js, npm run
+ * spec:builders); thread(), conversation() and headers() are added here. Required fields are
+ * checked with validateRequiredFields() on the merged payload when the params are built;
+ * runtime/core/types.ts tracks the same rules at compile time.
+ */
+
+import { ErrorCategory } from './constants.js';
+import { OptaveError } from './errors.js';
+import { Thread } from './thread.js';
+import { BUILDER_SETTERS } from '../../generated/payload-builders.js';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export class PayloadBuilder {
+    /**
+     * @param {Object} sdk - OptaveJavaScriptSDK instance used to validate and send
+     * @param {string} action - Registered action name
+     */
+    constructor(sdk, action) {
+        this.sdk = sdk;
+        this.action = action;
+        this._params = { request: {} };
+        this._thread = null;
+    }
+
+    // Sets `value` at `path` (objects are merged, everything else replaced). Copies along the
+    // path instead of mutating, so params returned by an earlier build() never change.
+    _set(path, value) {
+        const assign = (node, [key, ...rest]) => {
+            const current = node[key];
+            let next = value;
+            if (rest.length > 0) {
+                next = assign(current || {}, rest);
+            } else if (isPlainObject(value) && isPlainObject(current)) {
+                next = { ...current, ...value };
+            }
+            return { ...node, [key]: next };
+        };
+        this._params = assign(this._params, path);
+        return this;
+    }
+
+    /**
+     * Thread ID, or a Thread from sdk.thread() whose threadId, parentId and conversation are
+     * used (and which records the response as the next parentId)
+     * @param {string|Thread} threadOrId
+     */
+    thread(threadOrId) {
+        if (threadOrId instanceof Thread) {
+            this._thread = threadOrId;
+            return this;
+        }
+        return this._set(['request', 'connections', 'threadId'], threadOrId);
+    }
+
+    /** Appends one conversation to request.scope.conversations (conversations() replaces them) */
+    conversation(conversation) {
+        const conversations = this._params.request.scope?.conversations || [];
+        return this._set(['request', 'scope', 'conversations'], [...conversations, conversation]);
+    }
+
+    /** Envelope header overrides (correlationId, traceId, idempotencyKey, timestamp, tenantId, ...) */
+    headers(headers) {
+        return this._set(['headers'], headers);
+    }
+
+    /**
+     * Request params for the action
+     * @returns {Object}
+     * @throws {OptaveError} REQUIRED_FIELDS_MISSING when a required field is set neither here
+     *   nor by the client defaults
+     */
+    build() {
+        const params = this._thread
+            ? this._thread.buildParams(this.action, this._params)
+            : this._params;
+
+        // Checked like send() does: on the payload merged with the client defaults
+        const payload = this.sdk.buildPayload('message', this.action, params, { touchSession: false });
+        const result = this.sdk.validateRequiredFields(payload, this.action);
+        if (!result.isValid) {
+            throw new OptaveError({
+                category: ErrorCategory.VALIDATION,
+                code: 'REQUIRED_FIELDS_MISSING',
+                message: `Missing required fields for action '${this.action}': ${result.errors.join(', ')}`,
+                details: result.errors,
+            });
+        }
+        return params;
+    }
+
+    // The thread variants record the response as the thread's next parentId
+
+    /** Fire-and-forget, like sdk.<action>(params) */
+    send() {
+        const params = this.build();
+        if (this._thread) return this._thread._send(this.action, params);
+        return this.sdk.send('message', this.action, params);
+    }
+
+    /** Like sdk.<action>Async(params, opts) */
+    sendAsync(opts) {
+        const params = this.build();
+        if (this._thread) return this._thread._sendAsync(this.action, params, opts);
+        return this.sdk._promiseSend('message', this.action, params, opts);
+    }
+
+    /** Like sdk.stream.<action>(params, opts) */
+    stream(opts) {
+        const params = this.build();
+        if (this._thread) return this._thread._sendStream(this.action, params, opts);
+        return this.sdk._streamSend('message', this.action, params, opts);
+    }
+}
+
+// Generated setters: builder.<name>(value) sets `value` at the path (objects are merged).
+// Names defined by the class above keep their hand-written behavior.
+for (const [name, path] of Object.entries(BUILDER_SETTERS)) {
+    if (name in PayloadBuilder.prototype) continue;
+    Object.defineProperty(PayloadBuilder.prototype, name, {
+        configurable: true,
+        writable: true,
+        value: function (value) {
+            return this._set(path, Array.isArray(value) ? [...value] : value);
+        },
+    });
+}
@@ -0,0 +1,116 @@
+/**
+ * Payload merge helpers for the Optave SDK
+ *
+ * - Per-path array merge strategies used by selectiveDeepMerge() (options.mergeStrategies)
+ * - Pruning of unset defaultPayload placeholders before serialization (options.pruneEmptyDefaults)
+ */
+
+/**
+ * How an array from the request params is combined with the array already at that path
+ * @readonly
+ * @enum {string}
+ */
+export const MergeStrategy = Object.freeze({
+    /** The params array replaces the existing one (default) */
+    REPLACE: 'replace',
+
+    /** Params entries are added after the existing ones */
+    APPEND: 'append'
+});
+
+// Kept even when empty: the payload schema requires them
+const PRUNE_KEEP_PATHS = new Set(['session', 'request', 'request.requestId']);
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export const getPath = (object, path) => (path ? path.split('.').reduce((value, key) => value?.[key], object) : object);
+
+export function deepEqual(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+// True for entries equal to a placeholder of the default array, e.g. reference.ids [{ name: '', value: '' }]
+const isPlaceholder = (item, defaultArray) =>
+    Array.isArray(defaultArray) && defaultArray.some(placeholder => deepEqual(placeholder, item));
+
+/**
+ * Combines two arrays according to a strategy
+ * @param {Array} target - Array already at the path (defaults or an earlier merge)
+ * @param {Array} source - Array from the params
+ * @param {string|{ mergeBy: string }} [strategy] - MergeStrategy value or `{ mergeBy: key }`
+ * @param {Object} helpers
+ * @param {Array} [helpers.defaults] - defaultPayload array at the same path; its placeholders are dropped
+ * @param {Function} helpers.mergeItems - Deep merge used for entries matched by key
+ * @returns {Array}
+ */
+export function mergeArrays(target, source, strategy, { defaults, mergeItems }) {
+    if (!strategy || strategy === MergeStrategy.REPLACE) {
+        return [...source];
+    }
+
+    const existing = target.filter(item => !isPlaceholder(item, defaults));
+    if (strategy === MergeStrategy.APPEND) {
+        return [...existing, ...source];
+    }
+
+    const key = strategy.mergeBy;
+    const merged = [...existing];
+    for (const item of source) {
+        const index = isPlainObject(item) && item[key] !== undefined
+            ? merged.findIndex(entry => isPlainObject(entry) && entry[key] === item[key])
+            : -1;
+        if (index === -1) {
+            merged.push(item);
+        } else {
+            merged[index] = mergeItems(merged[index], item);
+        }
+    }
+    return merged;
+}
+
+const PRUNED = Symbol('pruned');
+
+function prune(value, defaults, path) {
+    // Only fields that exist in defaultPayload can be unset placeholders; anything else is caller data
+    if (defaults === undefined) return value;
+
+    let result = value;
+    if (isPlainObject(value) && isPlainObject(defaults)) {
+        result = {};
+        for (const [key, child] of Object.entries(value)) {
+            const pruned = prune(child, defaults[key], path ? `${path}.${key}` : key);
+            if (pruned !== PRUNED) result[key] = pruned;
+        }
+        if (Object.keys(result).length === 0) result = PRUNED;
+    } else if (Array.isArray(value)) {
+        result = value.filter(item => !isPlaceholder(item, defaults));
+        if (result.length === 0) result = PRUNED;
+    } else if (value === '') {
+        result = PRUNED;
+    }
+
+    if (result === PRUNED && PRUNE_KEEP_PATHS.has(path)) {
+        return isPlainObject(value) ? {} : value;
+    }
+    return result;
+}
+
+/**
+ * Removes what is still an unset default: empty strings, placeholder array entries (such as
+ * `products: [{ id: '' }]`) and the objects/arrays left empty by that. Values that are not part
+ * of the defaults, and defaults with a real value (e.g. medium: 'chat'), are kept.
+ * @param {Object} payload - Output of buildPayload()
+ * @param {Object} defaults - defaultPayload
+ * @returns {Object}
+ */
+export function pruneEmptyDefaults(payload, defaults) {
+    return prune(payload, defaults, '');
+}
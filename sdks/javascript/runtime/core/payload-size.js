@@ -0,0 +1,157 @@
+/**
+ * Payload size accounting for the Optave SDK
+ *
+ * - byteLength(): UTF-8 size of a serialized envelope (what MAX_PAYLOAD_SIZE_KB limits)
+ * - analyzePayloadSize(): size of the large payload sections, used for PAYLOAD_TOO_LARGE suggestions
+ * - fitPayload(): options.fitPayload trimming of those sections until the envelope fits
+ */
+
+const encoder = typeof TextEncoder !== 'undefined' ? new TextEncoder() : null;
+
+/**
+ * UTF-8 byte length of a string (string.length counts UTF-16 code units, which under-counts
+ * non-Latin text)
+ * @param {string} string
+ * @returns {number}
+ */
+export function byteLength(string) {
+    if (encoder) return encoder.encode(string).length;
+    return Buffer.byteLength(string, 'utf8');
+}
+
+const jsonBytes = value => byteLength(JSON.stringify(value));
+
+// Payload arrays worth checking when an envelope is too large; suggestKB is where a suggestion starts
+const SIZE_SECTIONS = [
+    { name: 'conversations', path: ['request', 'scope', 'conversations'], suggestKB: 10 },
+    { name: 'offers', path: ['request', 'resources', 'offers'], suggestKB: 5 },
+    { name: 'metadata', path: ['session', 'channel', 'metadata'], suggestKB: 2 }
+];
+
+/**
+ * Sizes of the conversations, offers and metadata arrays present in a payload
+ * @param {Object} payload - Message payload (an envelope is unwrapped)
+ * @returns {Array<{ name: string, path: string, bytes: number, kb: number, oversized: boolean }>}
+ */
+export function analyzePayloadSize(payload) {
+    const body = payload?.headers && payload?.payload ? payload.payload : payload;
+    const sections = [];
+    for (const { name, path, suggestKB } of SIZE_SECTIONS) {
+        const value = path.reduce((node, key) => node?.[key], body);
+        if (!Array.isArray(value)) continue;
+        const bytes = jsonBytes(value);
+        const kb = Math.ceil(bytes / 1024);
+        sections.push({ name, path: path.join('.'), bytes, kb, oversized: kb > suggestKB });
+    }
+    return sections;
+}
+
+// Copy of `payload` with the array at `path` replaced by `update(array)`
+function replaceArray(payload, path, update) {
+    const [key, ...rest] = path;
+    if (rest.length === 0) return { ...payload, [key]: update(payload[key]) };
+    return { ...payload, [key]: replaceArray(payload[key], rest, update) };
+}
+
+// Repeated trims of the same array are reported as one entry
+function recordDrop(dropped, entry) {
+    const existing = dropped.find(item => item.path === entry.path);
+    if (existing) existing.count += entry.count;
+    else dropped.push(entry);
+}
+
+// Oldest first: by timestamp where both messages have a parseable one, otherwise in array order
+function messageOrder(conversations) {
+    const entries = [];
+    conversations.forEach((conversation, conversationIndex) => {
+        (conversation?.messages || []).forEach((message, messageIndex) => {
+            const time = Date.parse(message?.timestamp);
+            entries.push({ conversationIndex, messageIndex, time, order: entries.length });
+        });
+    });
+    return entries.sort((a, b) =>
+        Number.isNaN(a.time) || Number.isNaN(b.time) ? a.order - b.order : a.time - b.time || a.order - b.order
+    );
+}
+
+// Drops the oldest messages worth at least `excess` bytes; the newest message of each conversation stays
+function trimMessages(payload, excess, dropped) {
+    const conversations = payload.request?.scope?.conversations;
+    if (!Array.isArray(conversations)) return payload;
+
+    const remaining = conversations.map(conversation => (conversation?.messages || []).length);
+    const remove = conversations.map(() => new Set());
+    let freed = 0;
+    for (const { conversationIndex, messageIndex } of messageOrder(conversations)) {
+        if (freed >= excess) break;
+        if (remaining[conversationIndex] <= 1) continue;
+        remaining[conversationIndex] -= 1;
+        remove[conversationIndex].add(messageIndex);
+        freed += jsonBytes(conversations[conversationIndex].messages[messageIndex]) + 1; // + separating comma
+    }
+    if (freed === 0) return payload;
+
+    return replaceArray(payload, ['request', 'scope', 'conversations'], list =>
+        list.map((conversation, index) => {
+            if (remove[index].size === 0) return conversation;
+            recordDrop(dropped, {
+                path: `request.scope.conversations[${index}].messages`,
+                count: remove[index].size,
+                conversationId: conversation.conversationId
+            });
+            return { ...conversation, messages: conversation.messages.filter((_, i) => !remove[index].has(i)) };
+        })
+    );
+}
+
+// Drops entries from the end of an oversized array worth at least `excess` bytes; the first entry stays
+function trimSection(payload, section, excess, dropped) {
+    const path = section.path.split('.');
+    const list = path.reduce((node, key) => node?.[key], payload);
+    let keep = list.length;
+    let freed = 0;
+    while (keep > 1 && freed < excess) {
+        keep -= 1;
+        freed += jsonBytes(list[keep]) + 1;
+    }
+    if (keep === list.length) return payload;
+
+    recordDrop(dropped, { path: section.path, count: list.length - keep });
+    return replaceArray(payload, path, array => array.slice(0, keep));
+}
+
+/**
+ * Trims a payload until `measure(payload)` is at most `maxBytes`: first the oldest
+ * request.scope.conversations messages, then entries at the end of oversized offers and metadata
+ * arrays. Arrays are never emptied, and the input payload is not modified.
+ * @param {Object} payload
+ * @param {number} maxBytes
+ * @param {(payload: Object) => number} measure - Byte size of the envelope carrying `payload`
+ * @returns {{ payload: Object, fitted: boolean, bytesBefore: number, bytesAfter: number,
+ *   dropped: Array<{ path: string, count: number, conversationId?: string }> }}
+ */
+export function fitPayload(payload, maxBytes, measure) {
+    const dropped = [];
+    const bytesBefore = measure(payload);
+    let bytes = bytesBefore;
+    let current = payload;
+
+    // Each step frees at least the excess by estimate; measuring again covers the remainder
+    const steps = [
+        excess => trimMessages(current, excess, dropped),
+        ...['offers', 'metadata'].map(name => excess => {
+            const section = analyzePayloadSize(current).find(s => s.name === name && s.oversized);
+            return section ? trimSection(current, section, excess, dropped) : current;
+        })
+    ];
+    for (const step of steps) {
+        while (bytes > maxBytes) {
+            const next = step(bytes - maxBytes);
+            if (next === current) break;
+            current = next;
+            bytes = measure(current);
+        }
+    }
+
+    return { payload: current, fitted: bytes <= maxBytes, bytesBefore, bytesAfter: bytes, dropped };
+}
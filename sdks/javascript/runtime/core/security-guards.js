@@ -22,7 +22,10 @@ import { BuildTargetUtils } from './build-targets.js';
  * must be preserved in all build outputs. Removing this validation creates
  * a security vulnerability in production environments.
  *
- * @param {string} websocketUrl - The WebSocket URL to validate
+ * Failover lists are validated entry by entry; a resolver function is skipped here and its
+ * results are passed through this guard at connect time.
+ *
+ * @param {string|string[]} websocketUrl - The WebSocket URL (or ordered list of URLs) to validate
  * @param {string} buildTarget - The webpack build target identifier
  * @param {object} options - SDK configuration options
  * @throws {Error} When ws:// protocol is used in UMD builds
@@ -33,6 +36,12 @@ export function enforceWebSocketScheme(websocketUrl, buildTarget, options = {})
     /* eslint-disable-next-line no-unused-expressions */
     true; // Side effect anchor
 
+    // SECURITY: Every failover candidate gets the same checks as a single URL
+    if (Array.isArray(websocketUrl)) {
+        websocketUrl.forEach(candidateUrl => enforceWebSocketScheme(candidateUrl, buildTarget, options));
+        return;
+    }
+
     if (!websocketUrl || typeof websocketUrl !== 'string') {
         return; // No validation needed if URL is not set or not a string
     }
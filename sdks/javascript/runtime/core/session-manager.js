@@ -0,0 +1,222 @@
+/**
+ * Chat session tracking for the Optave SDK
+ *
+ * Keeps one session ID per conversation with the end user, persists it so it survives
+ * page reloads, and rotates it after a period of inactivity. The current ID is written
+ * into `payload.session.sessionId` of every request.
+ */
+
+import { v7 as uuidv7 } from 'uuid';
+
+/**
+ * Why a session ended
+ * @readonly
+ * @enum {string}
+ */
+export const SessionEndReason = Object.freeze({
+    /** No activity for inactivityTimeoutMs */
+    INACTIVITY: 'inactivity',
+
+    /** Replaced through setSessionId() */
+    REPLACED: 'replaced',
+
+    /** endSession() */
+    ENDED: 'ended'
+});
+
+/**
+ * Storage-like store ({ getItem, setItem, removeItem }) kept in memory, used when no
+ * persistent store is available (server builds, sandboxed iframes)
+ */
+export class MemorySessionStore {
+    constructor() {
+        this._items = new Map();
+    }
+
+    getItem(key) {
+        return this._items.has(key) ? this._items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this._items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this._items.delete(key);
+    }
+}
+
+export class SessionManager {
+    /**
+     * @param {Object} params
+     * @param {Object} params.store - Storage-like store (sessionStorage, localStorage or a custom implementation)
+     * @param {string} params.storageKey - Key the session record is stored under
+     * @param {number} params.inactivityTimeoutMs - Idle time after which the session ends (0 = never)
+     * @param {Function} [params.onStarted] - Called with { sessionId, startedAt, resumed }
+     * @param {Function} [params.onEnded] - Called with { sessionId, startedAt, lastActivityAt, endedAt, reason }
+     * @param {Function} [params.onError] - Called when the store throws; the session continues in memory
+     */
+    constructor({ store, storageKey, inactivityTimeoutMs, onStarted, onEnded, onError }) {
+        this.store = store;
+        this.storageKey = storageKey;
+        this.inactivityTimeoutMs = inactivityTimeoutMs;
+        this._onStarted = onStarted || (() => {});
+        this._onEnded = onEnded || (() => {});
+        this._onError = onError || (() => {});
+        this._current = null; // { sessionId, startedAt, lastActivityAt }
+        this._idleTimer = null;
+    }
+
+    /** Current session ID without starting a session or counting as activity; '' when none */
+    get sessionId() {
+        return this._current ? this._current.sessionId : '';
+    }
+
+    /**
+     * Session ID the next touch() would continue; '' when it would start a new session. Unlike
+     * touch() it does not resume, rotate or extend a session, and calls no callbacks.
+     * @returns {string}
+     */
+    peek() {
+        const now = Date.now();
+        if (this._current) {
+            return this._isExpired(this._current, now) ? '' : this._current.sessionId;
+        }
+        try {
+            const record = JSON.parse(this.store.getItem(this.storageKey) || 'null');
+            if (record && typeof record.sessionId === 'string' && typeof record.lastActivityAt === 'number'
+                && !this._isExpired(record, now)) {
+                return record.sessionId;
+            }
+        } catch (error) {
+            // Reported by touch() when it reads the store
+        }
+        return '';
+    }
+
+    /**
+     * Records activity and returns the session ID to send, starting (or resuming) a session first
+     * when there is none and rotating it when the previous one went idle
+     * @returns {string}
+     */
+    touch() {
+        const now = Date.now();
+        if (!this._current) {
+            this._resume(now);
+        } else if (this._isExpired(this._current, now)) {
+            this._end(SessionEndReason.INACTIVITY, this._current.lastActivityAt + this.inactivityTimeoutMs);
+        }
+        if (!this._current) {
+            this._start(uuidv7(), now, false);
+        }
+
+        this._current.lastActivityAt = now;
+        this._persist();
+        this._scheduleIdleTimer();
+        return this._current.sessionId;
+    }
+
+    /**
+     * Replaces the current session with the given ID (ends the current one first)
+     * @param {string} sessionId
+     */
+    replace(sessionId) {
+        if (this._current?.sessionId === sessionId) return;
+        if (this._current) this._end(SessionEndReason.REPLACED, Date.now());
+        if (sessionId) {
+            const now = Date.now();
+            this._start(sessionId, now, false);
+            this._persist();
+            this._scheduleIdleTimer();
+        }
+    }
+
+    /**
+     * Ends the current session; the next request starts a new one
+     * @param {string} [reason] - One of SessionEndReason
+     */
+    end(reason = SessionEndReason.ENDED) {
+        if (this._current) this._end(reason, Date.now());
+    }
+
+    /** Stops the idle timer; the persisted session is kept so a new instance can resume it */
+    dispose() {
+        this._clearIdleTimer();
+    }
+
+    _isExpired(session, now) {
+        return this.inactivityTimeoutMs > 0 && now - session.lastActivityAt >= this.inactivityTimeoutMs;
+    }
+
+    // Picks up a session persisted by an earlier page load / SDK instance if it is still fresh
+    _resume(now) {
+        let record = null;
+        try {
+            record = JSON.parse(this.store.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            this._onError(error);
+        }
+        if (!record || typeof record.sessionId !== 'string' || !record.sessionId) return;
+        if (typeof record.lastActivityAt !== 'number' || this._isExpired(record, now)) {
+            this._remove();
+            return;
+        }
+        this._current = { sessionId: record.sessionId, startedAt: record.startedAt, lastActivityAt: record.lastActivityAt };
+        this._onStarted({ sessionId: record.sessionId, startedAt: record.startedAt, resumed: true });
+    }
+
+    _start(sessionId, now, resumed) {
+        this._current = { sessionId, startedAt: now, lastActivityAt: now };
+        this._onStarted({ sessionId, startedAt: now, resumed });
+    }
+
+    _end(reason, endedAt) {
+        const ended = this._current;
+        this._current = null;
+        this._clearIdleTimer();
+        this._remove();
+        this._onEnded({ ...ended, endedAt, reason });
+    }
+
+    _persist() {
+        try {
+            this.store.setItem(this.storageKey, JSON.stringify(this._current));
+        } catch (error) {
+            this._onError(error);
+        }
+    }
+
+    _remove() {
+        try {
+            this.store.removeItem(this.storageKey);
+        } catch (error) {
+            this._onError(error);
+        }
+    }
+
+    // Ends the session on time rather than on the next request, so 'session:ended' is not delayed
+    _scheduleIdleTimer(delayMs = this.inactivityTimeoutMs) {
+        this._clearIdleTimer();
+        if (!(this.inactivityTimeoutMs > 0)) return;
+
+        this._idleTimer = setTimeout(() => {
+            this._idleTimer = null;
+            if (!this._current) return;
+            const idleUntil = this._current.lastActivityAt + this.inactivityTimeoutMs;
+            if (Date.now() >= idleUntil) {
+                this._end(SessionEndReason.INACTIVITY, idleUntil);
+            } else {
+                this._scheduleIdleTimer(idleUntil - Date.now());
+            }
+        }, delayMs);
+        // Do not keep a Node.js process alive just to end an idle session
+        this._idleTimer.unref?.();
+    }
+
+    _clearIdleTimer() {
+        if (this._idleTimer) {
+            clearTimeout(this._idleTimer);
+            this._idleTimer = null;
+        }
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * Map-reduce summarization for the Optave SDK
+ *
+ * `sdk.summarizeLong(params, opts)` summarizes conversations that do not fit into one request:
+ * 1. map: request.scope.conversations is split into chunks whose envelopes fit the size limit,
+ *    and each chunk is sent with summarizeAsync() (at most `concurrency` at a time)
+ * 2. reduce: the partial summaries are sent as one conversation in a final summarize request
+ *    (itself chunked again if the partial summaries are still too large)
+ * All requests share the threadId; each one's connections.parentId is the requestId of the one before.
+ */
+
+import { v7 as uuidv7 } from 'uuid';
+import { ErrorCategory, MAX_PAYLOAD_SIZE, DEFAULT_SUMMARIZE_CONCURRENCY } from './constants.js';
+import { OptaveError } from './errors.js';
+import { byteLength } from './payload-size.js';
+
+const ACTION = 'summarize';
+
+// Author of the partial summaries in the reduce request
+const SUMMARY_PARTICIPANT = { participantId: 'optave-partial-summary', role: 'bot', displayName: 'Partial summary' };
+
+const jsonBytes = value => byteLength(JSON.stringify(value));
+
+const tooLarge = (message, details) =>
+    new OptaveError({ category: ErrorCategory.VALIDATION, code: 'PAYLOAD_TOO_LARGE', message, details });
+
+/**
+ * Default `extractSummary`: the text of a summarize response (string results, or their
+ * content/text/summary field; anything else as JSON)
+ * @param {Object} response - Resolved value of summarizeAsync()
+ * @returns {string}
+ */
+export function extractSummaryText(response) {
+    const body = response?.headers && response?.payload ? response.payload : response;
+    const results = body?.message?.results || [];
+    return results
+        .flatMap(result => result?.response ?? result)
+        .map(item => {
+            if (typeof item === 'string') return item;
+            const text = item?.content ?? item?.text ?? item?.summary;
+            return typeof text === 'string' ? text : JSON.stringify(item);
+        })
+        .join('\n');
+}
+
+// Copy of params with other conversations and connections (merge strategies do not apply here)
+function withRequest(sdk, params, request) {
+    return sdk.selectiveDeepMerge(params, { request }, {});
+}
+
+/**
+ * Splits request.scope.conversations into chunks whose summarize envelope fits `maxBytes`.
+ * Messages keep their order; a conversation spread over several chunks keeps its
+ * conversationId and participants in each of them.
+ * @returns {Array<Array<Object>>} conversations per chunk
+ */
+function chunkConversations(sdk, params, maxBytes) {
+    const measure = conversations => {
+        const request = { scope: { conversations } };
+        const payload = sdk.buildPayload('message', ACTION, withRequest(sdk, params, request));
+        return byteLength(JSON.stringify(sdk.buildMessageEnvelope(payload, 'message', ACTION, params.headers || {})));
+    };
+
+    // Serialized JSON adds up: every entry costs its own size plus at most one separating comma
+    const base = measure([]);
+    if (base > maxBytes) {
+        throw tooLarge(`summarizeLong: the request is ${base} bytes without any conversation (limit ${maxBytes})`, { bytes: base, maxBytes });
+    }
+
+    const chunks = [];
+    let chunk = [];
+    let used = base;
+    const close = () => {
+        if (chunk.length > 0) chunks.push(chunk);
+        chunk = [];
+        used = base;
+    };
+
+    params.request.scope.conversations.forEach((conversation, conversationIndex) => {
+        const skeleton = { ...conversation, messages: [] };
+        const skeletonBytes = jsonBytes(skeleton) + 1;
+        let current = null;
+
+        (conversation.messages || []).forEach((message, messageIndex) => {
+            const messageBytes = jsonBytes(message) + 1;
+            if (base + skeletonBytes + messageBytes > maxBytes) {
+                throw tooLarge(
+                    `summarizeLong: message ${messageIndex} of conversation ${conversationIndex} does not fit into one request (limit ${maxBytes} bytes)`,
+                    { conversationIndex, messageIndex, bytes: base + skeletonBytes + messageBytes, maxBytes }
+                );
+            }
+            if (used + (current ? 0 : skeletonBytes) + messageBytes > maxBytes) {
+                close();
+                current = null;
+            }
+            if (!current) {
+                current = { ...skeleton, messages: [] };
+                chunk.push(current);
+                used += skeletonBytes;
+            }
+            current.messages.push(message);
+            used += messageBytes;
+        });
+
+        // Conversations without messages go along with the current chunk
+        if (!current && (conversation.messages || []).length === 0) {
+            if (used + skeletonBytes > maxBytes) close();
+            chunk.push(skeleton);
+            used += skeletonBytes;
+        }
+    });
+    close();
+    return chunks;
+}
+
+// Runs `task(item, index)` for every item with at most `limit` running; rejects on the first failure
+function mapWithConcurrency(items, limit, task) {
+    return new Promise((resolve, reject) => {
+        const results = new Array(items.length);
+        let next = 0;
+        let done = 0;
+        let failed = false;
+
+        const startNext = () => {
+            if (failed || next >= items.length) return;
+            const index = next++;
+            Promise.resolve()
+                .then(() => task(items[index], index))
+                .then(result => {
+                    results[index] = result;
+                    done += 1;
+                    if (done === items.length) resolve(results);
+                    else startNext();
+                })
+                .catch(error => {
+                    if (failed) return;
+                    failed = true;
+                    reject(error);
+                });
+        };
+
+        if (items.length === 0) resolve(results);
+        for (let i = 0; i < Math.min(limit, items.length); i++) startNext();
+    });
+}
+
+async function run(sdk, params, opts, previousChunkCount) {
+    const { concurrency, maxBytes, extractSummary, requestOpts } = opts;
+    const chunks = chunkConversations(sdk, params, maxBytes);
+
+    if (chunks.length <= 1) {
+        return sdk.summarizeAsync(params, requestOpts);
+    }
+    if (chunks.length >= previousChunkCount) {
+        throw tooLarge(
+            `summarizeLong: the partial summaries need ${chunks.length} requests, no fewer than the ${previousChunkCount} they summarize`,
+            { chunks: chunks.length, maxBytes }
+        );
+    }
+
+    // map: chunk i points at chunk i - 1; the first one keeps the caller's parentId
+    const { threadId, parentId } = params.request.connections;
+    const requestIds = chunks.map(() => uuidv7());
+    // The caller's correlationId/idempotencyKey belong to the final request only
+    const { correlationId, idempotencyKey, ...headers } = params.headers || {};
+    const chunkParams = chunks.map((conversations, index) => {
+        const connections = { threadId };
+        const previousId = index === 0 ? parentId : requestIds[index - 1];
+        if (previousId) connections.parentId = previousId;
+        return {
+            ...withRequest(sdk, params, { requestId: requestIds[index], connections, scope: { conversations } }),
+            headers,
+        };
+    });
+
+    const pending = new Set(requestIds);
+    let responses;
+    try {
+        responses = await mapWithConcurrency(chunkParams, concurrency, async (chunk, index) => {
+            const response = await sdk.summarizeAsync(chunk, requestOpts);
+            pending.delete(requestIds[index]);
+            return response;
+        });
+    } catch (error) {
+        // Abandon the chunk requests still waiting for their response
+        pending.forEach(id => sdk.cancelRequest(id));
+        throw error;
+    }
+
+    // reduce: the partial summaries, in chunk order, as one conversation
+    const timestamp = new Date().toISOString();
+    const conversation = {
+        conversationId: `${threadId}:partial-summaries`,
+        participants: [SUMMARY_PARTICIPANT],
+        messages: responses.map(response => ({
+            participantId: SUMMARY_PARTICIPANT.participantId,
+            content: extractSummary(response),
+            timestamp,
+        })),
+    };
+    const reduceParams = withRequest(sdk, params, {
+        connections: { threadId, parentId: requestIds[requestIds.length - 1] },
+        scope: { conversations: [conversation] },
+    });
+    return run(sdk, reduceParams, opts, chunks.length);
+}
+
+/**
+ * summarize() for conversations larger than MAX_PAYLOAD_SIZE_KB (see the module comment)
+ * @param {Object} sdk - OptaveJavaScriptSDK instance
+ * @param {Object} params - summarize params; request.connections.threadId is required
+ * @param {Object} [opts]
+ * @param {number} [opts.concurrency] - Chunk requests in flight at once (default: DEFAULT_SUMMARIZE_CONCURRENCY)
+ * @param {number} [opts.maxBytes] - Envelope size per request (default and upper bound: MAX_PAYLOAD_SIZE)
+ * @param {(response: Object) => string} [opts.extractSummary] - Text of a partial summary (default: extractSummaryText)
+ *   Other opts (timeoutMs, onChunk, aggregate) are passed to every summarizeAsync() call.
+ * @returns {Promise<Object>} Response of the final summarize request
+ */
+export async function summarizeInChunks(sdk, params = {}, opts = {}) {
+    const {
+        concurrency = DEFAULT_SUMMARIZE_CONCURRENCY,
+        maxBytes = MAX_PAYLOAD_SIZE,
+        extractSummary = extractSummaryText,
+        ...requestOpts
+    } = opts;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new TypeError('[Optave SDK] summarizeLong concurrency must be a positive integer');
+    }
+    if (typeof extractSummary !== 'function') {
+        throw new TypeError('[Optave SDK] summarizeLong extractSummary must be a function');
+    }
+
+    const required = sdk.validateRequiredFields(params, ACTION);
+    if (!required.isValid) {
+        throw new OptaveError({
+            category: ErrorCategory.VALIDATION,
+            code: 'REQUIRED_FIELDS_MISSING',
+            message: `Missing required fields for action '${ACTION}': ${required.errors.join(', ')}`,
+            details: required.errors,
+        });
+    }
+
+    return run(
+        sdk,
+        params,
+        { concurrency, maxBytes: Math.min(maxBytes, MAX_PAYLOAD_SIZE), extractSummary, requestOpts },
+        Infinity
+    );
+}
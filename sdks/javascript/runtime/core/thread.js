@@ -0,0 +1,237 @@
+/**
+ * Conversation threads for the Optave SDK
+ *
+ * A Thread (created with `sdk.thread(threadId)`) keeps the running conversation of one
+ * ticket/case/chat and fills the per-thread request fields on every call:
+ * - request.connections.threadId
+ * - request.connections.parentId for adjust/elevate (the ID of the last completed response)
+ * - request.scope.conversations (participants and messages added so far)
+ * Values passed in `params` always win.
+ */
+
+import { v7 as uuidv7 } from 'uuid';
+import { EVENTS } from './constants.js';
+
+// Actions that refine an earlier response and therefore need request.connections.parentId
+const PARENT_ACTIONS = new Set(['adjust', 'elevate']);
+
+// Public fields set in the constructor; like the methods, they cannot double as action names
+const THREAD_FIELDS = new Set(['sdk', 'threadId', 'conversationId', 'parentId']);
+
+// Mirrors the SDK: a frame without a state, or with state 'completed', ends the request
+const isFinalFrame = frame => {
+    const body = frame && frame.headers && frame.payload ? frame.payload : frame;
+    return !(body?.state && body.state !== 'completed');
+};
+
+export class Thread {
+    /**
+     * @param {Object} sdk - OptaveJavaScriptSDK instance the requests are sent through
+     * @param {string} threadId
+     * @param {Object} [init]
+     * @param {string} [init.conversationId] - Default: the thread ID
+     * @param {string} [init.parentId] - Parent for the first adjust/elevate call
+     * @param {Array} [init.participants] - `{ participantId, role, displayName }` entries
+     * @param {Array} [init.messages] - `{ participantId, content, timestamp }` entries
+     */
+    constructor(sdk, threadId, { conversationId = threadId, parentId = null, participants = [], messages = [] } = {}) {
+        this.sdk = sdk;
+        this.threadId = threadId;
+        this.conversationId = conversationId;
+        this.parentId = parentId;
+        this._participants = [];
+        this._messages = [];
+        this._awaiting = new Set(); // correlationIds sent from this thread that have not completed yet
+        this._onResponse = frame => this._recordResponse(frame);
+        this._streamApi = null;
+
+        sdk._actions.currentNames().forEach(action => this._addAction(action));
+        participants.forEach(participant => this.addParticipant(participant));
+        messages.forEach(message => this.addMessage(message));
+    }
+
+    /** Snapshot of the conversation sent as request.scope.conversations[0] */
+    get conversation() {
+        return {
+            conversationId: this.conversationId,
+            participants: this._participants.map(participant => ({ ...participant })),
+            messages: this._messages.map(message => ({ ...message })),
+        };
+    }
+
+    /**
+     * Adds a participant, or updates the one with the same participantId
+     * @param {{ participantId: string, role?: string, displayName?: string }} participant
+     * @returns {Thread}
+     */
+    addParticipant(participant) {
+        if (!participant?.participantId) {
+            throw new TypeError('[Optave SDK] Thread participants need a participantId');
+        }
+        const index = this._participants.findIndex(p => p.participantId === participant.participantId);
+        if (index === -1) {
+            this._participants.push({ ...participant });
+        } else {
+            this._participants[index] = { ...this._participants[index], ...participant };
+        }
+        return this;
+    }
+
+    /**
+     * Appends a message. `role` and `displayName` register the sender as a participant
+     * when it is not known yet; `timestamp` defaults to now.
+     * @param {{ participantId: string, content: string, timestamp?: string, role?: string, displayName?: string }} message
+     * @returns {Thread}
+     */
+    addMessage({ role, displayName, ...message }) {
+        if (!message.participantId) {
+            throw new TypeError('[Optave SDK] Thread messages need a participantId');
+        }
+        if (!this._participants.some(p => p.participantId === message.participantId)) {
+            const participant = { participantId: message.participantId };
+            if (role) participant.role = role;
+            if (displayName) participant.displayName = displayName;
+            this._participants.push(participant);
+        }
+        this._messages.push({ timestamp: new Date().toISOString(), ...message });
+        return this;
+    }
+
+    /**
+     * Appends several messages in order
+     * @param {Array} messages
+     * @returns {Thread}
+     */
+    addMessages(messages) {
+        messages.forEach(message => this.addMessage(message));
+        return this;
+    }
+
+    /**
+     * Request params for `action` with the thread fields filled in below `params`
+     * @param {string} action
+     * @param {Object} [params]
+     * @returns {Object}
+     */
+    buildParams(action, params = {}) {
+        const request = {
+            requestId: uuidv7(),
+            connections: { threadId: this.threadId },
+        };
+        if (PARENT_ACTIONS.has(action) && this.parentId) {
+            request.connections.parentId = this.parentId;
+        }
+        if (this._messages.length > 0) {
+            request.scope = { conversations: [this.conversation] };
+        }
+        return this.sdk.selectiveDeepMerge({ request }, params);
+    }
+
+    // Releases the thread: stops listening for responses (requests still in flight no longer
+    // update parentId) and drops it from the SDK, so sdk.thread(threadId) starts a new one
+    dispose() {
+        this._awaiting.clear();
+        this.sdk.removeListener(EVENTS.RESPONSE, this._onResponse);
+        if (this.sdk._threads?.get(this.threadId) === this) {
+            this.sdk._threads.delete(this.threadId);
+        }
+    }
+
+    /**
+     * Adds `<action>(params)`, `<action>Async(params, opts)` and `stream.<action>(params, opts)`
+     * for an action of the SDK's registry (all current actions at construction, later ones
+     * through sdk.registerAction())
+     * @param {string} action
+     */
+    _addAction(action) {
+        // Fire-and-forget (responses arrive through the SDK events)
+        this[action] = params => this._send(action, params);
+        // Promise-based (resolve on the 'completed' frame)
+        this[`${action}Async`] = (params, opts) => this._sendAsync(action, params, opts);
+        // Rebuilt with the new action on next access
+        this._streamApi = null;
+    }
+
+    // Thread params for `action` plus the correlationId they are tracked under: the completed
+    // response becomes the parent of the next adjust/elevate call
+    _prepare(action, params) {
+        const threadParams = this.buildParams(action, params);
+        const correlationId = threadParams.headers?.correlationId || threadParams.request.requestId;
+        this._track(correlationId);
+        return { threadParams, correlationId };
+    }
+
+    _send(action, params) {
+        const { threadParams, correlationId } = this._prepare(action, params);
+        if (!this.sdk._sendMessage('message', action, threadParams)) {
+            // Rejected before sending (reported through the SDK error event), so no response will come
+            this._untrack(correlationId);
+        }
+    }
+
+    _sendAsync(action, params, opts) {
+        const { threadParams, correlationId } = this._prepare(action, params);
+        const result = this.sdk._promiseSend('message', action, threadParams, opts);
+        // Failed requests never complete; stop waiting for them (the caller still sees the rejection)
+        result.catch(() => this._untrack(correlationId));
+        return result;
+    }
+
+    _sendStream(action, params, opts) {
+        const { threadParams, correlationId } = this._prepare(action, params);
+        const frames = this.sdk._streamSend('message', action, threadParams, opts);
+        const thread = this;
+        // A completed response is recorded before its stream ends, so whatever is still
+        // awaited at that point (failed or cancelled) never will be
+        const iterator = (async function* () {
+            try {
+                yield* frames;
+            } finally {
+                thread._untrack(correlationId);
+            }
+        })();
+        iterator.correlationId = frames.correlationId;
+        return iterator;
+    }
+
+    _track(correlationId) {
+        if (this._awaiting.size === 0) {
+            this.sdk.on(EVENTS.RESPONSE, this._onResponse);
+        }
+        this._awaiting.add(correlationId);
+    }
+
+    _untrack(correlationId) {
+        if (this._awaiting.delete(correlationId) && this._awaiting.size === 0) {
+            this.sdk.removeListener(EVENTS.RESPONSE, this._onResponse);
+        }
+    }
+
+    _recordResponse(frame) {
+        const correlationId = frame?.headers?.correlationId || frame?.correlationId;
+        if (!this._awaiting.has(correlationId) || !isFinalFrame(frame)) return;
+        this.parentId = correlationId;
+        this._untrack(correlationId);
+    }
+
+    // Streaming: for await (const frame of thread.stream.summarize(params)) { ... }
+    get stream() {
+        if (!this._streamApi) {
+            this._streamApi = {};
+            for (const action of this.sdk._actions.currentNames()) {
+                this._streamApi[action] = (params, opts) => this._sendStream(action, params, opts);
+            }
+        }
+        return this._streamApi;
+    }
+}
+
+/**
+ * True when `name` is taken by a Thread method or field, so an action of that name could not
+ * get its thread helper
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isThreadMember(name) {
+    return THREAD_FIELDS.has(name) || name in Thread.prototype;
+}
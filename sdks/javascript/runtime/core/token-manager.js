@@ -0,0 +1,174 @@
+/**
+ * Token lifecycle management for the Optave SDK
+ *
+ * Caches the WebSocket token together with its expiry, de-duplicates concurrent
+ * fetches and schedules a refresh shortly before the token lapses.
+ */
+
+import { MAX_TIMER_DELAY_MS } from './constants.js';
+
+/**
+ * Where a cached token came from (decides how it is refreshed)
+ * @readonly
+ * @enum {string}
+ */
+export const TokenSource = Object.freeze({
+    /** options.tokenProvider() */
+    PROVIDER: 'provider',
+
+    /** authenticate() (client credentials, server builds only) */
+    AUTHENTICATE: 'authenticate',
+
+    /** Token passed directly to openConnection(token); cannot be refreshed */
+    EXPLICIT: 'explicit'
+});
+
+const parseExpiry = value => {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'string') {
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+    return null;
+};
+
+/**
+ * Normalizes the accepted token shapes to `{ token, expiresAt }`:
+ * - a plain string (expiry unknown)
+ * - AuthTokenResponse `{ token, expiresAt }` (epoch ms, Date or ISO string)
+ * - an OAuth2 token response `{ access_token, expires_in }` (seconds)
+ * @param {*} result
+ * @returns {{ token: string, expiresAt: number|null }|null} Null when no token is present
+ */
+export function normalizeTokenResponse(result) {
+    if (typeof result === 'string') {
+        return result.length > 0 ? { token: result, expiresAt: null } : null;
+    }
+    if (!result || typeof result !== 'object') return null;
+
+    const token = result.token || result.access_token;
+    if (typeof token !== 'string' || token.length === 0) return null;
+
+    let expiresAt = parseExpiry(result.expiresAt);
+    if (expiresAt === null && typeof result.expires_in === 'number') {
+        expiresAt = Date.now() + result.expires_in * 1000;
+    }
+    return { token, expiresAt };
+}
+
+export class TokenManager {
+    /**
+     * @param {Object} params
+     * @param {number} [params.refreshSkewMs] - Refresh this long before expiry (default: 60000)
+     */
+    constructor({ refreshSkewMs = 60000 } = {}) {
+        this.refreshSkewMs = refreshSkewMs;
+        this._current = null; // { token, expiresAt, source }
+        this._inflight = null;
+        this._refreshTimer = null;
+    }
+
+    /** @returns {{ token: string, expiresAt: number|null, source: string }|null} */
+    get current() {
+        return this._current;
+    }
+
+    /**
+     * Stores a token response from the given source. A result without a token (e.g. a failed
+     * authenticate() or refresh) leaves the cached record alone, so its source still decides
+     * where the next token comes from.
+     * @param {*} result - Any shape accepted by normalizeTokenResponse()
+     * @param {string} source - One of TokenSource
+     * @returns {Object|null} The cached record, or null if the result held no token
+     */
+    set(result, source) {
+        const normalized = normalizeTokenResponse(result);
+        if (!normalized) return null;
+        this._current = { ...normalized, source };
+        return this._current;
+    }
+
+    /**
+     * Records a token handed to openConnection(). Keeps the existing record (and its expiry)
+     * when it is the token that was already cached, e.g. the one returned by authenticate().
+     * @param {string} token
+     */
+    adopt(token) {
+        if (this._current && this._current.token === token) return this._current;
+        return this.set(token, TokenSource.EXPLICIT);
+    }
+
+    /**
+     * True when a cached token with a known expiry is still outside the refresh window.
+     * Tokens without an expiry are never reused (they may be single-use tickets).
+     */
+    isFresh() {
+        const expiresAt = this._current?.expiresAt;
+        return typeof expiresAt === 'number' && expiresAt - this.refreshSkewMs > Date.now();
+    }
+
+    /** True when the cached token can be refreshed before it expires */
+    isRefreshable() {
+        return (
+            !!this._current &&
+            typeof this._current.expiresAt === 'number' &&
+            this._current.source !== TokenSource.EXPLICIT
+        );
+    }
+
+    /**
+     * Fetches a token through `fetcher`, sharing one in-flight call between concurrent callers
+     * @param {Function} fetcher - Async function returning any normalizeTokenResponse() shape
+     * @param {string} source - One of TokenSource
+     * @returns {Promise<string|null>}
+     */
+    fetch(fetcher, source) {
+        if (!this._inflight) {
+            this._inflight = Promise.resolve()
+                .then(fetcher)
+                .then(result => this.set(result, source)?.token || null)
+                .finally(() => {
+                    this._inflight = null;
+                });
+        }
+        return this._inflight;
+    }
+
+    /**
+     * Calls `onRefresh` shortly before the cached token expires.
+     * Short-lived tokens (lifetime under the skew) are refreshed halfway through their remaining lifetime.
+     * @param {Function} onRefresh
+     * @returns {number|null} Delay in ms, or null when nothing was scheduled
+     */
+    scheduleRefresh(onRefresh) {
+        this.cancelRefresh();
+        if (!this.isRefreshable()) return null;
+
+        const remaining = this._current.expiresAt - Date.now();
+        if (remaining <= 0) return null;
+
+        const delayMs = Math.min(
+            MAX_TIMER_DELAY_MS,
+            Math.max(remaining - this.refreshSkewMs, Math.round(remaining / 2))
+        );
+        this._refreshTimer = setTimeout(() => {
+            this._refreshTimer = null;
+            onRefresh();
+        }, delayMs);
+        return delayMs;
+    }
+
+    cancelRefresh() {
+        if (this._refreshTimer) {
+            clearTimeout(this._refreshTimer);
+            this._refreshTimer = null;
+        }
+    }
+
+    /** Forgets the cached token and cancels any scheduled refresh */
+    clear() {
+        this.cancelRefresh();
+        this._current = null;
+    }
+}
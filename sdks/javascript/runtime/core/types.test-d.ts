@@ -0,0 +1,42 @@
+// Type-level checks for runtime/core/types.ts (npm run test:types): every @ts-expect-error
+// line must fail to compile, everything else must compile
+import type { BuildApi, Thread } from './types';
+import type { AuthTransport as IndexAuthTransport, Opts as IndexOpts } from './index';
+
+declare const build: BuildApi;
+declare const thread: Thread;
+
+const conversation = { conversationId: 'c1', participants: [{ participantId: 'u1', role: 'user' as const }] };
+
+// Complete builders
+build.reception().thread('t1').build();
+build.recommend().thread('t1').conversation(conversation).offers([{ id: 'o1' }]).send();
+build.adjust().thread('t1').parentId('p1').conversations([conversation]).content('c').instruction('i').sendAsync();
+build.elevate().thread(thread).content('c').stream();
+build.summarize().threadId('t1').conversation(conversation).context({ organizationId: 'o' }).build();
+
+// @ts-expect-error threadId is missing
+build.reception().build();
+// @ts-expect-error offers are missing
+build.recommend().thread('t1').conversation(conversation).send();
+// @ts-expect-error instruction is missing
+build.adjust().thread('t1').parentId('p1').conversation(conversation).content('c').sendAsync();
+// @ts-expect-error a Thread does not supply content
+build.elevate().thread(thread).stream();
+
+// Intermediate builders keep their missing fields
+const partial = build.summarize().thread('t1');
+// @ts-expect-error conversations are missing
+partial.build();
+partial.conversation(conversation).build();
+
+// Required arrays must not be empty
+// @ts-expect-error
+build.recommend().offers([]);
+
+// The package entry re-exports the transports of types.ts (including oauth2)
+const transport: IndexAuthTransport = 'oauth2';
+const options: Partial<IndexOpts> = { authTransport: 'oauth2' };
+// @ts-expect-error not a transport
+const unknownTransport: IndexAuthTransport = 'cookie';
+void [transport, options, unknownTransport];
@@ -1,7 +1,9 @@
 // TypeScript type definitions for the Optave Client SDK
 // Using manual type definitions to avoid broken generated files
 
-export type AuthTransport = 'subprotocol' | 'query';
+import type { BuilderSetterValues } from '../../generated/payload-builders';
+
+export type AuthTransport = 'subprotocol' | 'query' | 'oauth2';
 export interface GeneratedClientConfig {
     websocketUrl: string;
     authUrl: string;
@@ -17,34 +19,182 @@ export type Logger = {
   error: Function;
 };
 
+// A single WebSocket URL, an ordered failover list (preferred first) or a resolver returning either
+export type WebSocketEndpoints =
+  | string
+  | string[]
+  | (() => string | string[] | Promise<string | string[]>);
+
+// Named Optave environments accepted by options.environment
+export type OptaveEnvironment = 'incubator' | 'sandbox' | 'prod';
+
 // SDK Options that extend generated connection config
-export type Opts = GeneratedClientConfig & {
+export type Opts = Omit<GeneratedClientConfig, 'websocketUrl'> & {
+  websocketUrl?: WebSocketEndpoints;  // Required unless `environment` is set
+  environment?: OptaveEnvironment;    // Preset for websocketUrl, authenticationUrl and authTransport
+  clientIdentifier?: string;          // Client-specific subdomain prefix for the environment preset URLs
+  failbackIntervalMs?: number;  // While on a fallback endpoint, check the preferred one this often in ms (default: 300000, 0 = never)
+
   // Token provider for authentication (client environments)
-  tokenProvider?: () => string | Promise<string>;
+  // Return an AuthTokenResponse to let the SDK cache the token and refresh it before it expires
+  tokenProvider?: () => string | AuthTokenResponse | Promise<string | AuthTokenResponse>;
+  autoRefreshToken?: boolean;   // Refresh expiring tokens and reconnect with the new one (default: true)
+  tokenRefreshSkewMs?: number;  // How long before expiry the token is refreshed, in ms (default: 60000)
+
+  tokenUrl?: string;            // Endpoint used by the default tokenProvider (default: <meta name="optave-token-url"> or '/api/optave/ws-ticket')
+  publishableKey?: string;      // Sent as X-Optave-Publishable-Key by the default tokenProvider
 
   // Authentication transport method (default: 'subprotocol')
   authTransport?: AuthTransport;
+  authRequired?: boolean;       // Refuse to connect without a token (default: true)
 
   // Server-only authentication options (Client Credentials Grant)
   authenticationUrl?: string;    // Override default auth URL
   clientId?: string;            // OAuth2 client ID
   clientSecret?: string;        // OAuth2 client secret (server only!)
+  clientAuthMethod?: 'client_secret_post' | 'client_secret_basic'; // Credentials in the form body or a Basic header (default: 'client_secret_post')
+  scope?: string | string[];    // OAuth2 scope(s) requested by authenticate()
+  audience?: string;            // OAuth2 audience requested by authenticate()
+  authTimeoutMs?: number;       // Abort the token request after this many ms (default: 10000, 0 = no timeout)
+
+  // HTTP options for authenticate() and the default tokenProvider
+  fetch?: (input: string, init?: any) => Promise<any>;  // Fetch implementation (default: global fetch)
+  httpAgent?: unknown;          // Node http(s).Agent for token requests (server ESM only)
+  proxy?: string;               // HTTP(S) proxy URL, e.g. 'http://proxy.internal:3128' (server ESM only)
+  ca?: string | Uint8Array | Array<string | Uint8Array>; // Extra trusted CA certificate(s), PEM (server ESM only)
+
+  // Options forwarded to the `ws` client in server builds (ignored by browser WebSockets)
+  wsOptions?: NodeWebSocketOptions;
+
+  // WebSocket constructor (default: global WebSocket, or the `ws` package in server builds)
+  WebSocketImpl?: unknown;
 
   // SDK behavior options
   strictValidation?: boolean;   // Enable strict payload validation
+  cspSafe?: boolean;            // Use the CSP-safe validators instead of AJV (default: detected from the build)
   requestTimeoutMs?: number;    // Request timeout in milliseconds
   logger?: Logger;              // Custom logger instance
 
   // Tenant/organization options
   tenantId?: string;           // Tenant identifier
-  organizationId?: string;     // Organization identifier
+  organizationId?: string;     // Organization identifier (also the default request.context.organizationId)
+
+  // Payload defaults, merged below the params of every request
+  departmentId?: string;       // Default request.context.departmentId
+  operatorId?: string;         // Default request.context.operatorId
+  userId?: string;             // Default request.context.userId
+  sessionDefaults?: SessionDefaults; // Default session.interface / session.channel fields
+  channelMetadata?: boolean | ChannelMetadataOptions; // Fill session.channel from the browser (default: false)
+  mergeStrategies?: Record<string, MergeStrategy>; // Array merge per payload dot path (default: 'replace')
+  pruneEmptyDefaults?: boolean;  // Strip unset defaultPayload placeholders before sending (default: false)
+  fitPayload?: boolean;          // Trim oversized requests to MAX_PAYLOAD_SIZE_KB instead of failing (default: false)
+
+  // Managed chat session ID, sent as session.sessionId with every request (default: false)
+  sessionManager?: boolean | SessionManagerOptions;
 
   // Development/debugging options
   debug?: boolean;             // Enable debug logging
-  retryAttempts?: number;      // Number of retry attempts
-  retryDelay?: number;         // Delay between retries (ms)
+  retryAttempts?: number;      // Max automatic reconnect attempts after an unexpected close (default: 0 = disabled)
+  retryDelay?: number;         // Base reconnect backoff delay in ms, doubled per attempt (default: 1000)
+  retryMaxDelayMs?: number;    // Upper bound for a single reconnect backoff delay in ms (default: 30000)
+
+  // Outbound queue used while connecting/reconnecting
+  queueMaxSize?: number;                                        // Max queued messages (default: 100, 0 = disabled)
+  queueOverflow?: 'reject-oldest' | 'reject-newest' | 'block';  // Policy when the queue is full (default: 'reject-newest')
+  queueEntryTtlMs?: number;                                     // Queued message expiry in ms (default: 30000, 0 = never)
+
+  // Keep-alive options
+  heartbeatIntervalMs?: number; // Interval between heartbeats in ms (default: 0 = disabled)
+  heartbeatMaxMissed?: number;  // Missed heartbeats before the connection is declared dead (default: 2)
+
+  // Durable outbox: unacknowledged envelopes are persisted and replayed after a reload/restart
+  outbox?: boolean | OutboxStore; // true = IndexedDB/localStorage (browser) or a JSON file (server-esm) (default: false)
+  outboxPath?: string;            // File used by the server-esm store (default: '.optave-outbox.json')
+  outboxMaxAgeMs?: number;        // Entries older than this are discarded instead of replayed (default: 86400000)
 };
 
+// Options.sessionDefaults
+export interface SessionDefaults {
+  interface?: {
+    appVersion?: string;
+    category?: string;
+    language?: string;
+    name?: string;
+    type?: string;
+  };
+  channel?: {
+    browser?: string;
+    deviceInfo?: string;
+    deviceType?: string;
+    language?: string;
+    location?: string;
+    medium?: 'chat' | 'voice' | 'email';
+    metadata?: unknown[];
+    section?: string;
+  };
+}
+
+// How a params array is combined with the array already at its path
+// ('append' and mergeBy drop the empty defaultPayload placeholders first)
+export type MergeStrategy = 'replace' | 'append' | { mergeBy: string };
+
+// session.channel fields the metadata collector can fill
+export type ChannelMetadataField = 'browser' | 'deviceInfo' | 'deviceType' | 'language' | 'location';
+
+// Options.channelMetadata
+export interface ChannelMetadataOptions {
+  exclude?: ChannelMetadataField[]; // Privacy mode: fields that are never collected or sent
+  geolocation?: () =>               // Source of session.channel.location, e.g. a navigator.geolocation wrapper
+    | string
+    | { latitude: number; longitude: number }
+    | { coords: { latitude: number; longitude: number } }
+    | Promise<string | { latitude: number; longitude: number } | { coords: { latitude: number; longitude: number } }>;
+}
+
+// Storage-like persistence for the managed session (window.sessionStorage and localStorage qualify)
+export interface SessionStore {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+// Options.sessionManager
+export interface SessionManagerOptions {
+  store?: SessionStore;          // Default: sessionStorage in browsers, memory on servers
+  storageKey?: string;           // Default: 'optave-sdk:session'
+  inactivityTimeoutMs?: number;  // Idle time before the session ends (default: 1800000, 0 = never)
+}
+
+// Persisted outbound envelope awaiting a response
+export interface OutboxEntry {
+  id: string;              // correlationId of the envelope
+  action: string;
+  idempotencyKey: string;
+  payloadString: string;   // Serialized envelope, replayed byte-for-byte
+  createdAt: number;       // Epoch ms
+}
+
+// Pluggable persistence for the durable outbox
+export interface OutboxStore {
+  load(): Promise<OutboxEntry[]>;
+  save(entry: OutboxEntry): Promise<void>;
+  remove(id: string): Promise<void>;
+}
+
+// Subset of `ws` client options forwarded through Opts.wsOptions
+export interface NodeWebSocketOptions {
+  agent?: unknown;                           // http(s).Agent; overrides proxy detection
+  ca?: string | Uint8Array | Array<string | Uint8Array>;
+  cert?: string | Uint8Array;                // Client certificate for mTLS (PEM)
+  key?: string | Uint8Array;                 // Client private key for mTLS (PEM)
+  passphrase?: string;
+  rejectUnauthorized?: boolean;
+  headers?: Record<string, string>;          // Extra handshake headers
+  perMessageDeflate?: boolean | Record<string, unknown>;
+  handshakeTimeout?: number;                 // ms
+  [option: string]: unknown;
+}
+
 // WebSocket connection types
 export interface WebSocketOptions {
   url: string;
@@ -55,10 +205,16 @@ export interface WebSocketOptions {
 // Authentication types
 export interface AuthTokenResponse {
   token: string;
-  expiresAt: number;
+  expiresAt: number;            // Epoch ms
   tokenType?: string;
 }
 
+// Payload of the 'token:refreshed' event
+export interface TokenRefreshedEvent {
+  expiresAt: number;
+  source: 'provider' | 'authenticate';
+}
+
 export interface AuthCredentials {
   clientId: string;
   clientSecret: string;
@@ -71,23 +227,319 @@ export interface MessageEnvelope {
     correlationId: string;
     traceId: string;
     schemaRef: string;
+    tenantId?: string;          // params.headers.tenantId, else options.tenantId
   };
   payload: any;
 }
 
+// Per-request options for the promise-based (xxxAsync) API
+export interface RequestOptions {
+  timeoutMs?: number;                                        // Overrides options.requestTimeoutMs for this request
+  onChunk?: (frame: any, info: StreamChunkInfo) => void;     // Called for every intermediate streamed frame
+  aggregate?: boolean;                                       // Fold streamed results into the resolved frame (default: true)
+}
+
+// Thread-scoped action methods returned by sdk.thread(); see runtime/core/thread.js
+export interface ThreadParticipant {
+  participantId: string;
+  role?: string;                // e.g. 'user', 'operator'
+  displayName?: string;
+}
+
+export interface ThreadMessage {
+  participantId: string;
+  content: string;
+  timestamp?: string;           // ISO timestamp (default: when the message was added)
+  role?: string;                // Registers the sender as a participant if unknown
+  displayName?: string;
+  [field: string]: unknown;
+}
+
+export interface ThreadInit {
+  conversationId?: string;      // Default: the thread ID
+  parentId?: string;            // Parent for the first adjust/elevate call
+  participants?: ThreadParticipant[];
+  messages?: ThreadMessage[];
+}
+
+export interface ThreadStreamApi {
+  adjust(params?: any, opts?: RequestOptions): ResponseStream;
+  elevate(params?: any, opts?: RequestOptions): ResponseStream;
+  interaction(params?: any, opts?: RequestOptions): ResponseStream;
+  reception(params?: any, opts?: RequestOptions): ResponseStream;
+  summarize(params?: any, opts?: RequestOptions): ResponseStream;
+  translate(params?: any, opts?: RequestOptions): ResponseStream;
+  recommend(params?: any, opts?: RequestOptions): ResponseStream;
+  insights(params?: any, opts?: RequestOptions): ResponseStream;
+}
+
+export declare class Thread {
+  readonly threadId: string;
+  conversationId: string;
+  parentId: string | null;      // ID of the last completed response, sent with adjust/elevate
+  readonly conversation: { conversationId: string; participants: ThreadParticipant[]; messages: ThreadMessage[] };
+
+  addParticipant(participant: ThreadParticipant): this;
+  addMessage(message: ThreadMessage): this;
+  addMessages(messages: ThreadMessage[]): this;
+  buildParams(action: string, params?: any): any;
+  // Stops tracking responses and releases the thread (sdk.thread(threadId) then starts a new one)
+  dispose(): void;
+
+  adjust(params?: any): void;
+  elevate(params?: any): void;
+  interaction(params?: any): void;
+  reception(params?: any): void;
+  summarize(params?: any): void;
+  translate(params?: any): void;
+  recommend(params?: any): void;
+  insights(params?: any): void;
+
+  adjustAsync(params?: any, opts?: RequestOptions): Promise<any>;
+  elevateAsync(params?: any, opts?: RequestOptions): Promise<any>;
+  interactionAsync(params?: any, opts?: RequestOptions): Promise<any>;
+  receptionAsync(params?: any, opts?: RequestOptions): Promise<any>;
+  summarizeAsync(params?: any, opts?: RequestOptions): Promise<any>;
+  translateAsync(params?: any, opts?: RequestOptions): Promise<any>;
+  recommendAsync(params?: any, opts?: RequestOptions): Promise<any>;
+  insightsAsync(params?: any, opts?: RequestOptions): Promise<any>;
+
+  readonly stream: ThreadStreamApi;
+}
+
+// ----- Payload builders (sdk.build.<action>()) -----
+// Setter names and value types are generated from the Payload schema (generated/payload-builders.d.ts)
+
+export type BuilderAction =
+  | 'adjust' | 'elevate' | 'interaction' | 'reception'
+  | 'summarize' | 'translate' | 'recommend' | 'insights';
+
+// Fields build()/send() require per action (setter names); mirrors ACTION_DEFINITIONS in constants.js
+export interface BuilderRequiredFields {
+  adjust: 'threadId' | 'parentId' | 'conversations' | 'content' | 'instruction';
+  elevate: 'threadId' | 'parentId' | 'conversations' | 'content';
+  interaction: 'threadId' | 'conversations';
+  reception: 'threadId';
+  summarize: 'threadId' | 'conversations';
+  translate: 'threadId' | 'conversations';
+  recommend: 'threadId' | 'conversations' | 'offers';
+  insights: 'threadId' | 'conversations';
+}
+
+export type BuilderConversation = BuilderSetterValues['conversations'][number];
+
+type NonEmpty<T> = [T, ...T[]];
+
+// Required arrays must not be empty
+type BuilderSetterValue<K extends keyof BuilderSetterValues> =
+  BuilderSetterValues[K] extends Array<infer T> ? (K extends 'conversations' | 'offers' ? NonEmpty<T> : T[]) : BuilderSetterValues[K];
+
+// One setter per generated field; setting a field removes it from Missing
+type BuilderSetters<A extends BuilderAction, Missing extends string> = {
+  [K in keyof BuilderSetterValues]: (value: BuilderSetterValue<K>) => PayloadBuilder<A, Exclude<Missing, K>>;
+};
+
+// `this` of build()/send(): never while a required field is missing, so those calls do not compile
+type CompleteBuilder<A extends BuilderAction, Missing extends string> =
+  [Missing] extends [never] ? PayloadBuilder<A, never> : never;
+
+// `Missing` lists the required fields not set yet; build()/send() only type-check once it is empty
+export interface PayloadBuilder<A extends BuilderAction, Missing extends string = BuilderRequiredFields[A]>
+  extends BuilderSetters<A, Missing> {
+  readonly action: A;
+  // Type-level only (never set): keeps builders with different Missing fields apart
+  readonly __missing?: Missing;
+
+  thread(threadId: string): PayloadBuilder<A, Exclude<Missing, 'threadId'>>;
+  // A Thread supplies threadId, parentId and the conversation (parentId is checked again at build time)
+  thread(thread: Thread): PayloadBuilder<A, Exclude<Missing, 'threadId' | 'parentId' | 'conversations'>>;
+  // Appends to request.scope.conversations (conversations([...]) replaces them)
+  conversation(conversation: BuilderConversation): PayloadBuilder<A, Exclude<Missing, 'conversations'>>;
+  headers(headers: { correlationId?: string; traceId?: string; idempotencyKey?: string; timestamp?: string; tenantId?: string; networkLatencyMs?: number }): PayloadBuilder<A, Missing>;
+
+  build(this: CompleteBuilder<A, Missing>): any;
+  send(this: CompleteBuilder<A, Missing>): void;
+  sendAsync(this: CompleteBuilder<A, Missing>, opts?: RequestOptions): Promise<any>;
+  stream(this: CompleteBuilder<A, Missing>, opts?: RequestOptions): ResponseStream;
+}
+
+export type BuildApi = { [A in BuilderAction]: () => PayloadBuilder<A> };
+
+// Async iterable returned by sdk.stream.<action>()
+export interface ResponseStream extends AsyncIterableIterator<any> {
+  correlationId: string;
+}
+
+type StreamMethod = (params: any, opts?: RequestOptions) => ResponseStream;
+
+export interface StreamApi {
+  adjust: StreamMethod;
+  elevate: StreamMethod;
+  customerInteraction: StreamMethod;
+  interaction: StreamMethod;
+  reception: StreamMethod;
+  summarize: StreamMethod;
+  translate: StreamMethod;
+  recommend: StreamMethod;
+  insights: StreamMethod;
+}
+
+// Progress information passed to RequestOptions.onChunk
+export interface StreamChunkInfo {
+  index: number;      // Zero-based position of the frame within the stream
+  state: string;      // Frame state, e.g. 'started'
+  results: any[];     // Results accumulated so far (including this frame)
+}
+
+// Connection lifecycle states reported by getState()
+export type ConnectionState = 'idle' | 'connecting' | 'open' | 'closing' | 'closed' | 'reconnecting';
+
 // Event types for EventEmitter
 export interface SdkEvents {
+  'connection:state': (state: ConnectionState, previousState: ConnectionState) => void;
   'connection:open': () => void;
   'connection:close': (code: number, reason: string) => void;
   'connection:error': (error: Error) => void;
   'message:received': (message: MessageEnvelope) => void;
   'message:sent': (message: MessageEnvelope) => void;
+  'reconnecting': (info: ReconnectingEvent) => void;
+  'reconnected': (info: ReconnectedEvent) => void;
+  'outbox:replayed': (info: OutboxReplayedEvent) => void;
+  'token:refreshed': (info: TokenRefreshedEvent) => void;
+  'endpoint:failover': (info: EndpointFailoverEvent) => void;
+  'session:started': (info: SessionStartedEvent) => void;
+  'session:ended': (info: SessionEndedEvent) => void;
+  'payload:fitted': (info: PayloadFittedEvent) => void;
+}
+
+// Payloads for the automatic reconnection events
+export interface ReconnectingEvent {
+  attempt: number;
+  maxAttempts: number;
+  delayMs: number;
+}
+
+export interface ReconnectedEvent {
+  attempts: number;
+}
+
+// Payload of the 'outbox:replayed' event
+export interface OutboxReplayedEvent {
+  count: number;
+  correlationIds: string[];
+}
+
+// Payload of the 'endpoint:failover' event (also emitted when switching back to the preferred endpoint)
+export interface EndpointFailoverEvent {
+  from: string | null;
+  to: string;
+  code: string;       // Reason, e.g. 'CONNECTION_TIMEOUT', 'CONNECTION_ERROR' or 'PREFERRED_ENDPOINT_AVAILABLE'
+  message: string;
+}
+
+// What options.fitPayload trimmed (the 'payload:fitted' event and PreviewReport.fit)
+export interface PayloadFitReport {
+  fitted: boolean;      // False when the envelope is still too large
+  bytesBefore: number;  // UTF-8 size of the envelope before / after trimming
+  bytesAfter: number;
+  dropped: Array<{
+    path: string;             // e.g. 'request.scope.conversations[0].messages' or 'request.resources.offers'
+    count: number;
+    conversationId?: string;
+  }>;
+}
+
+export interface PayloadFittedEvent extends PayloadFitReport {
+  correlationId: string;
+  action: string;
+}
+
+// Payloads of the 'session:started' / 'session:ended' events (options.sessionManager)
+export interface SessionStartedEvent {
+  sessionId: string;
+  startedAt: number;   // Epoch ms
+  resumed: boolean;    // True when picked up from the store (e.g. after a page reload)
+}
+
+export interface SessionEndedEvent {
+  sessionId: string;
+  startedAt: number;
+  lastActivityAt: number;
+  endedAt: number;
+  reason: 'inactivity' | 'replaced' | 'ended';
+}
+
+// Required-field rules for registerAction(); paths are dot-separated, relative to the request params
+export interface ActionRules {
+  required?: string[];        // Must hold a truthy value, e.g. 'request.attributes.content'
+  nonEmptyArrays?: string[];  // Must hold a non-empty array, e.g. 'request.scope.conversations'
+}
+
+// Options of summarizeLong(); the RequestOptions apply to every summarizeAsync() call it makes
+export interface SummarizeLongOptions extends RequestOptions {
+  concurrency?: number;                        // Chunk requests in flight at once (default: 3)
+  maxBytes?: number;                           // Envelope size per request (default and maximum: MAX_PAYLOAD_SIZE)
+  extractSummary?: (response: any) => string;  // Text of a partial summary (default: string results or their content/text/summary)
 }
 
+// Result of preview(): what send() would transmit, without sending
+export interface PreviewError {
+  category: string;
+  code: string;         // e.g. 'INVALID_ACTION', 'REQUIRED_FIELDS_MISSING', 'PAYLOAD_SCHEMA_MISMATCH', 'PAYLOAD_TOO_LARGE'
+  message: string;
+  details?: any;
+}
+
+export interface PreviewReport {
+  valid: boolean;           // false when send() would reject the request
+  errors: PreviewError[];   // Every check send() would fail, in pipeline order
+  envelope: MessageEnvelope;
+  serialized: string;       // The exact string written to the socket
+  checks: {
+    action: { valid: boolean };
+    topLevelKeys: { valid: boolean; errors: any[] };
+    requiredFields: { isValid: boolean; errors: string[] };
+    schema: { valid: boolean; errors: any[]; enforced: boolean }; // enforced = options.strictValidation
+  };
+  size: { bytes: number; maxKb: number; valid: boolean }; // bytes: UTF-8
+  fit: PayloadFitReport | null;  // Set when options.fitPayload trimmed the envelope
+}
+
+// Sources read by fromEnv() / loadConfig()
+export interface ConfigLoaderParams {
+  env?: Record<string, string | undefined>;  // Default: process.env
+  configFile?: string;                       // Default: OPTAVE__CONFIG_FILE, then .optaverc / .optaverc.json in cwd
+  cwd?: string;                              // Base directory for relative paths (default: process.cwd())
+}
+
+// Result of validateOptions(); the constructor throws on errors and logs warnings
+export interface OptionsValidationIssue {
+  type: 'error' | 'warning';
+  code: string;         // e.g. 'INVALID_OPTION_TYPE', 'OPTION_OUT_OF_RANGE', 'UNKNOWN_OPTION'
+  message: string;
+  field: string;        // Option path, e.g. 'requestTimeoutMs', 'websocketUrl[1]' or 'logger.warn'
+  suggestion?: string;  // "Did you mean" hint for unknown keys and values
+}
+
+export interface OptionsValidationResult {
+  isValid: boolean;
+  errors: OptionsValidationIssue[];
+  warnings: OptionsValidationIssue[];
+}
+
+export declare function validateOptions(options: Partial<Opts>): OptionsValidationResult;
+
 // Main SDK class declaration
 export declare class OptaveJavaScriptSDK {
   constructor(options: Opts);
 
+  // Server ESM only: options from OPTAVE__* environment variables and a JSON config file
+  static fromEnv(overrides?: Partial<Opts>, params?: ConfigLoaderParams): OptaveJavaScriptSDK;
+  static loadConfig(params?: ConfigLoaderParams & { overrides?: Partial<Opts> }): Opts;
+
+  // Checks options without creating an instance (the same checks the constructor runs)
+  static validateOptions(options: Partial<Opts>): OptionsValidationResult;
+
   // Core methods
   authenticate(): Promise<string>;
   openConnection(token?: string): Promise<void>;
@@ -104,11 +556,51 @@ export declare class OptaveJavaScriptSDK {
   recommend(params: any): Promise<any>;
   insights(params: any): Promise<any>;
 
+  // Promise-based action methods (resolve on the 'completed' frame)
+  adjustAsync(params: any, opts?: RequestOptions): Promise<any>;
+  elevateAsync(params: any, opts?: RequestOptions): Promise<any>;
+  customerInteractionAsync(params: any, opts?: RequestOptions): Promise<any>;
+  interactionAsync(params: any, opts?: RequestOptions): Promise<any>;
+  receptionAsync(params: any, opts?: RequestOptions): Promise<any>;
+  summarizeAsync(params: any, opts?: RequestOptions): Promise<any>;
+  translateAsync(params: any, opts?: RequestOptions): Promise<any>;
+  recommendAsync(params: any, opts?: RequestOptions): Promise<any>;
+  insightsAsync(params: any, opts?: RequestOptions): Promise<any>;
+  cancelRequest(correlationId: string): boolean;
+
+  // Map-reduce summarize for conversations larger than MAX_PAYLOAD_SIZE_KB
+  summarizeLong(params: any, opts?: SummarizeLongOptions): Promise<any>;
+
+  // Adds an action (and its xxx()/xxxAsync()/stream/build helpers) to this instance
+  registerAction(name: string, rules?: ActionRules): this;
+  validateRequiredFields(params: any, action: string): { isValid: boolean; errors: string[] };
+
+  // Dry run: builds and checks the envelope send() would transmit (no connection needed)
+  preview(action: string, params?: any): PreviewReport;
+
+  // Fluent payload builders
+  readonly build: BuildApi;
+
+  // Conversation threads (threadId, parentId and scope.conversations filled per request)
+  thread(threadId?: string, init?: ThreadInit): Thread;
+
+  // Async-iterator streaming API
+  readonly stream: StreamApi;
+
   // Connection management
+  closeConnection(): void;
   disconnect(): void;
   isConnected(): boolean;
+  getState(): ConnectionState;
+  getActiveEndpoint(): string | null;
+
+  // Chat session
+  setSessionId(id: string): this;
+  getSessionId(): string;
+  endSession(): this;
 
   // Event handling (extends EventEmitter)
+  on<K extends keyof SdkEvents>(event: K, listener: SdkEvents[K]): this;
   on(event: string, listener: (...args: any[]) => void): this;
   emit(event: string, ...args: any[]): boolean;
 }
\ No newline at end of file
@@ -0,0 +1,92 @@
+// Browser channel metadata collector - describes the visitor's browser and device for session.channel
+// Replaces ../node/channel-metadata.js in browser and UMD builds (see scripts/prod/webpack/aliases.js)
+
+// Viewport widths (CSS px) used when the user agent does not say whether the device is mobile
+const MOBILE_MAX_WIDTH = 768;
+const TABLET_MAX_WIDTH = 1024;
+
+// Ordered: Edge and Opera also identify as Chrome, Chrome also identifies as Safari
+const BROWSER_PATTERNS = [
+    ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+    ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+    ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+    ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+    ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+    ['Safari', /Version\/([\d.]+).*Safari\//],
+];
+
+const OS_PATTERNS = [
+    ['iOS', /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/],
+    ['Android', /Android ([\d.]+)/],
+    ['Windows', /Windows NT ([\d.]+)/],
+    ['macOS', /Mac OS X ([\d_.]+)/],
+    ['ChromeOS', /CrOS \S+ ([\d.]+)/],
+    ['Linux', /Linux/],
+];
+
+const majorVersion = version => String(version).split('.')[0];
+
+// "Chrome 120" from the low-entropy client hints, skipping GREASE brands such as "Not_A Brand"
+function browserFromBrands(brands) {
+    const named = brands.filter(({ brand }) => !/not.?a.?brand/i.test(brand));
+    const brand = named.find(({ brand }) => brand !== 'Chromium') || named[0];
+    return brand ? `${brand.brand.replace(/^Google /, '').replace(/^Microsoft /, '')} ${brand.version}` : '';
+}
+
+function browserFromUserAgent(userAgent) {
+    for (const [name, pattern] of BROWSER_PATTERNS) {
+        const match = userAgent.match(pattern);
+        if (match) return `${name} ${majorVersion(match[1])}`;
+    }
+    return '';
+}
+
+// Same format as the defaultPayload example: "iOS/18.2, iPhone" (OS/version, device)
+function deviceInfoFromUserAgent(userAgent, platform) {
+    for (const [name, pattern] of OS_PATTERNS) {
+        const match = userAgent.match(pattern);
+        if (!match) continue;
+        const version = match[1] ? `/${match[1].replace(/_/g, '.')}` : '';
+        const device = userAgent.match(/\((iPhone|iPad|iPod)/)?.[1];
+        return device ? `${name}${version}, ${device}` : `${name}${version}`;
+    }
+    return platform || '';
+}
+
+function deviceTypeOf(nav, win, userAgent) {
+    if (/iPad|Tablet/i.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) return 'tablet';
+    if (nav.userAgentData?.mobile || /Mobi|iPhone|iPod/.test(userAgent)) return 'mobile';
+
+    // iPadOS reports a desktop Mac user agent; touch support gives it away
+    const touch = (nav.maxTouchPoints || 0) > 1;
+    const width = Math.min(win.screen?.width || Infinity, win.innerWidth || Infinity);
+    if (touch && width < MOBILE_MAX_WIDTH) return 'mobile';
+    if (touch && width <= TABLET_MAX_WIDTH) return 'tablet';
+    if (/Macintosh/.test(userAgent) && touch) return 'tablet';
+    return 'desktop';
+}
+
+/**
+ * Reads browser, deviceInfo, deviceType and language from navigator and the viewport.
+ * Fields that cannot be determined are left out.
+ * @param {Object} [win] - Window-like global (default: globalThis)
+ * @returns {{ browser?: string, deviceInfo?: string, deviceType?: string, language?: string }}
+ */
+export function collectChannelMetadata(win = globalThis) {
+    const nav = win.navigator;
+    if (!nav || typeof win.document === 'undefined') return {};
+
+    const userAgent = nav.userAgent || '';
+    const brands = nav.userAgentData?.brands;
+    const metadata = {
+        browser: (brands?.length && browserFromBrands(brands)) || browserFromUserAgent(userAgent),
+        deviceInfo: deviceInfoFromUserAgent(userAgent, nav.userAgentData?.platform || nav.platform),
+        deviceType: deviceTypeOf(nav, win, userAgent),
+        language: nav.language || nav.languages?.[0] || '',
+    };
+
+    for (const field of Object.keys(metadata)) {
+        if (!metadata[field]) delete metadata[field];
+    }
+    return metadata;
+}
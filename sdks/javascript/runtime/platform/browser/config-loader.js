@@ -0,0 +1,9 @@
+// Browser config loader stub - there are no environment variables or config files to read
+// Replaces ../node/config-loader.js in browser and UMD builds (see scripts/prod/webpack/aliases.js)
+
+export function loadConfig() {
+    throw new Error(
+        '[Optave SDK] fromEnv() and loadConfig() are only available in the server ESM build. ' +
+        'Pass options to the constructor instead.'
+    );
+}
@@ -0,0 +1,15 @@
+// Browser HTTP agent stub - browsers manage proxies and certificates themselves
+// Replaces ../node/http-agent.js in browser and UMD builds (see scripts/prod/webpack/aliases.js)
+
+export function createProxyAgent() {
+    return null;
+}
+
+export function createHttpAgent() {
+    return null;
+}
+
+// No agent support: callers keep using options.fetch or the global fetch
+export function createAgentFetch() {
+    return null;
+}
@@ -0,0 +1,180 @@
+// Browser durable outbox store - IndexedDB with localStorage fallback
+// Replaces ../node/outbox-store.js in browser and UMD builds (see scripts/prod/webpack/aliases.js)
+
+const DB_NAME = 'optave-sdk';
+const STORE_NAME = 'outbox';
+const STORAGE_KEY = 'optave-sdk:outbox';
+
+const promisifyRequest = request => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Resolves once the transaction has committed, i.e. its writes are durable
+const promisifyTransaction = transaction => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+});
+
+/**
+ * Outbox backed by an IndexedDB object store (survives page reloads, shared across tabs)
+ */
+class IndexedDbOutboxStore {
+    constructor(indexedDb) {
+        this._indexedDb = indexedDb;
+        this._db = null;
+    }
+
+    async _open() {
+        if (this._db) return this._db;
+        const request = this._indexedDb.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        };
+        this._db = await promisifyRequest(request);
+        return this._db;
+    }
+
+    async _transaction(mode) {
+        const db = await this._open();
+        return db.transaction(STORE_NAME, mode);
+    }
+
+    async load() {
+        return promisifyRequest((await this._transaction('readonly')).objectStore(STORE_NAME).getAll());
+    }
+
+    async save(entry) {
+        const transaction = await this._transaction('readwrite');
+        transaction.objectStore(STORE_NAME).put(entry);
+        await promisifyTransaction(transaction);
+    }
+
+    async remove(id) {
+        const transaction = await this._transaction('readwrite');
+        transaction.objectStore(STORE_NAME).delete(id);
+        await promisifyTransaction(transaction);
+    }
+}
+
+/**
+ * Outbox backed by a single localStorage key (fallback when IndexedDB is unavailable or blocked)
+ */
+class LocalStorageOutboxStore {
+    constructor(storage) {
+        this._storage = storage;
+    }
+
+    _read() {
+        try {
+            return JSON.parse(this._storage.getItem(STORAGE_KEY) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    _write(entries) {
+        this._storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    }
+
+    async load() {
+        return Object.values(this._read());
+    }
+
+    async save(entry) {
+        const entries = this._read();
+        entries[entry.id] = entry;
+        this._write(entries);
+    }
+
+    async remove(id) {
+        const entries = this._read();
+        if (!(id in entries)) return;
+        delete entries[id];
+        this._write(entries);
+    }
+}
+
+/**
+ * IndexedDB outbox that writes to localStorage for good once opening the database or a
+ * transaction fails (private browsing, storage eviction, a blocked upgrade); the failed write
+ * is retried on localStorage so the entry is not lost.
+ *
+ * Entries can live in either store (written before the switch, or by an earlier page that
+ * had switched), so load() reads both and remove() deletes from both.
+ */
+class FallbackOutboxStore {
+    constructor(primary, fallback) {
+        this._primary = primary;
+        this._fallback = fallback;
+        this._usePrimary = true;
+    }
+
+    async load() {
+        const [primary, fallback] = await Promise.allSettled([this._primary.load(), this._fallback.load()]);
+        if (primary.status === 'rejected') this._usePrimary = false;
+        if (fallback.status === 'rejected' && primary.status === 'rejected') throw fallback.reason;
+
+        const entries = new Map();
+        for (const result of [primary, fallback]) {
+            if (result.status !== 'fulfilled') continue;
+            result.value.forEach(entry => entries.has(entry.id) || entries.set(entry.id, entry));
+        }
+        return [...entries.values()];
+    }
+
+    async save(entry) {
+        if (this._usePrimary) {
+            try {
+                return await this._primary.save(entry);
+            } catch (error) {
+                this._usePrimary = false;
+            }
+        }
+        return this._fallback.save(entry);
+    }
+
+    async remove(id) {
+        if (this._usePrimary) {
+            try {
+                await this._primary.remove(id);
+            } catch (error) {
+                this._usePrimary = false;
+            }
+        } else {
+            // Best effort: the database may still accept deletes of entries written before the switch
+            await this._primary.remove(id).catch(() => {});
+        }
+        return this._fallback.remove(id);
+    }
+}
+
+function createLocalStorageStore() {
+    // Accessing localStorage can throw in sandboxed contexts (e.g. Salesforce Locker, opaque origins)
+    try {
+        if (typeof localStorage !== 'undefined' && localStorage) {
+            return new LocalStorageOutboxStore(localStorage);
+        }
+    } catch (e) {
+        // No persistent storage available
+    }
+    return null;
+}
+
+/**
+ * Creates the platform default outbox store
+ * @returns {FallbackOutboxStore|IndexedDbOutboxStore|LocalStorageOutboxStore|null}
+ */
+export function createDefaultOutboxStore() {
+    const localStore = createLocalStorageStore();
+    try {
+        if (typeof indexedDB !== 'undefined' && indexedDB) {
+            const indexedDbStore = new IndexedDbOutboxStore(indexedDB);
+            return localStore ? new FallbackOutboxStore(indexedDbStore, localStore) : indexedDbStore;
+        }
+    } catch (e) {
+        // Fall through to localStorage
+    }
+    return localStore;
+}
@@ -0,0 +1,18 @@
+// Browser session store - sessionStorage (one session per tab, survives reloads)
+// Replaces ../node/session-store.js in browser and UMD builds (see scripts/prod/webpack/aliases.js)
+
+/**
+ * Creates the platform default session store
+ * @returns {Storage|null} Null when sessionStorage is unavailable or blocked
+ */
+export function createDefaultSessionStore() {
+    // Accessing sessionStorage can throw in sandboxed contexts (e.g. Salesforce Locker, opaque origins)
+    try {
+        if (typeof sessionStorage !== 'undefined' && sessionStorage) {
+            return sessionStorage;
+        }
+    } catch (e) {
+        // No persistent storage available
+    }
+    return null;
+}
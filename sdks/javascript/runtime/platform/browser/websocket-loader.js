@@ -2,4 +2,14 @@
 export async function loadNodeWebSocket() {
     // Always return null in browser environments
     return null;
-}
\ No newline at end of file
+}
+
+// Browsers cannot send ping frames - callers fall back to an application-level heartbeat envelope
+export function createNativePinger() {
+    return null;
+}
+
+// Browsers manage proxies, certificates and handshake headers themselves
+export function createWebSocketOptions() {
+    return null;
+}
@@ -0,0 +1,6 @@
+// Node.js channel metadata collector stub - a server has no visitor browser or device to describe
+// Browser and UMD builds replace this module with ../browser/channel-metadata.js via webpack aliases
+
+export function collectChannelMetadata() {
+    return {};
+}
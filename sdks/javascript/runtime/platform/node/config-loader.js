@@ -0,0 +1,137 @@
+// Node.js configuration loader - OPTAVE__* environment variables and .optaverc files (server ESM builds only)
+// Browser and UMD builds replace this module with ../browser/config-loader.js via webpack aliases
+import fs from 'fs';
+import path from 'path';
+import { validateSDKConfig } from '../../validation/config-validator.js';
+
+// Looked up in the working directory when no config file is given
+const DEFAULT_CONFIG_FILES = ['.optaverc', '.optaverc.json'];
+
+// Environment variable -> option. Earlier entries win when two variables map to the same option.
+// Every variable can also be read from a file by appending _FILE (e.g. OPTAVE__CLIENT_SECRET_FILE).
+const ENV_MAPPING = [
+    { name: 'OPTAVE__ENVIRONMENT', option: 'environment' },
+    { name: 'OPTAVE__CLIENT_IDENTIFIER', option: 'clientIdentifier' },
+    { name: 'OPTAVE__WEBSOCKET_URL', option: 'websocketUrl', type: 'list' },
+    { name: 'OPTAVE__AUTHENTICATION_URL', option: 'authenticationUrl' },
+    { name: 'OPTAVE__AUTH_URL', option: 'authenticationUrl' }, // name used by runtime/test-environment.js
+    { name: 'OPTAVE__TOKEN_URL', option: 'tokenUrl' },
+    { name: 'OPTAVE__CLIENT_ID', option: 'clientId' },
+    { name: 'OPTAVE__CLIENT_SECRET', option: 'clientSecret' },
+    { name: 'OPTAVE__CLIENT_AUTH_METHOD', option: 'clientAuthMethod' },
+    { name: 'OPTAVE__SCOPE', option: 'scope' },
+    { name: 'OPTAVE__AUDIENCE', option: 'audience' },
+    { name: 'OPTAVE__AUTH_TRANSPORT', option: 'authTransport' },
+    { name: 'OPTAVE__ORGANIZATION_ID', option: 'organizationId' },
+    { name: 'OPTAVE__TENANT_ID', option: 'tenantId' },
+    { name: 'OPTAVE__PROXY', option: 'proxy' },
+    { name: 'OPTAVE__CA', option: 'ca' },
+    { name: 'OPTAVE__REQUEST_TIMEOUT_MS', option: 'requestTimeoutMs', type: 'number' },
+    { name: 'OPTAVE__CONNECTION_TIMEOUT_MS', option: 'connectionTimeoutMs', type: 'number' },
+    { name: 'OPTAVE__RETRY_ATTEMPTS', option: 'retryAttempts', type: 'number' },
+];
+
+const configError = (code, message, field) => ({ type: 'error', code, message, field });
+
+const parseValue = (raw, type) => {
+    if (type === 'number') {
+        const value = Number(raw);
+        return raw.trim() !== '' && Number.isFinite(value) ? value : undefined;
+    }
+    if (type === 'list') {
+        // A comma separated list becomes a failover list; a single URL stays a string
+        const entries = raw.split(',').map(entry => entry.trim()).filter(Boolean);
+        return entries.length > 1 ? entries : entries[0];
+    }
+    return raw;
+};
+
+function readConfigFile(configFile, cwd, errors) {
+    const candidates = configFile
+        ? [path.resolve(cwd, configFile)]
+        : DEFAULT_CONFIG_FILES.map(name => path.join(cwd, name));
+
+    for (const filePath of candidates) {
+        let content;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            // Only an explicitly requested file has to exist
+            if (configFile) {
+                errors.push(configError('CONFIG_FILE_UNREADABLE', `Cannot read config file ${filePath}: ${error.message}`, 'configFile'));
+            }
+            continue;
+        }
+
+        try {
+            const parsed = JSON.parse(content);
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new Error('expected a JSON object');
+            }
+            return parsed;
+        } catch (error) {
+            errors.push(configError('INVALID_CONFIG_FILE', `Config file ${filePath} is not valid JSON: ${error.message}`, 'configFile'));
+            return {};
+        }
+    }
+    return {};
+}
+
+function readEnvironment(env, cwd, errors) {
+    const options = {};
+
+    for (const { name, option, type } of ENV_MAPPING) {
+        if (option in options) continue;
+
+        let raw = env[name];
+        const fileName = env[`${name}_FILE`];
+        if (fileName) {
+            if (raw) {
+                errors.push(configError('CONFLICTING_ENV_VALUE', `Set either ${name} or ${name}_FILE, not both.`, name));
+                continue;
+            }
+            try {
+                raw = fs.readFileSync(path.resolve(cwd, fileName), 'utf8').trim();
+            } catch (error) {
+                errors.push(configError('SECRET_FILE_UNREADABLE', `Cannot read ${name}_FILE (${fileName}): ${error.message}`, `${name}_FILE`));
+                continue;
+            }
+        }
+        if (!raw) continue;
+
+        const value = parseValue(raw, type);
+        if (value === undefined) {
+            errors.push(configError('INVALID_ENV_VALUE', `${name} must be a ${type}, got "${raw}".`, name));
+            continue;
+        }
+        options[option] = value;
+    }
+    return options;
+}
+
+/**
+ * Builds SDK options from a JSON config file and OPTAVE__* environment variables.
+ * Precedence: overrides > environment variables > config file.
+ * The result is checked with validateSDKConfig(); errors throw, warnings are left to the constructor.
+ * @param {Object} [params]
+ * @param {Object} [params.env] - Environment to read (default: process.env)
+ * @param {string} [params.configFile] - JSON config file (default: OPTAVE__CONFIG_FILE, then .optaverc / .optaverc.json in cwd)
+ * @param {string} [params.cwd] - Base directory for relative paths (default: process.cwd())
+ * @param {Object} [params.overrides] - Options applied on top of everything else
+ * @returns {Object} SDK options
+ * @throws {Error} When a source cannot be read or the merged options are invalid
+ */
+export function loadConfig({ env = process.env, configFile, cwd = process.cwd(), overrides = {} } = {}) {
+    const errors = [];
+    const fileOptions = readConfigFile(configFile || env.OPTAVE__CONFIG_FILE, cwd, errors);
+    const envOptions = readEnvironment(env, cwd, errors);
+    const options = { ...fileOptions, ...envOptions, ...overrides };
+
+    const validation = validateSDKConfig(options);
+    errors.push(...validation.errors);
+
+    if (errors.length > 0) {
+        throw new Error(`[Optave SDK] Configuration errors: ${errors.map(e => e.message).join('; ')}`);
+    }
+    return options;
+}
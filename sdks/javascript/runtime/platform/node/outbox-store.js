@@ -0,0 +1,75 @@
+// Node.js durable outbox store - file-backed (server ESM builds only)
+// Browser and UMD builds replace this module with ../browser/outbox-store.js via webpack aliases
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DEFAULT_OUTBOX_FILE = '.optave-outbox.json';
+
+/**
+ * Stores unacknowledged envelopes in a JSON file so they survive process restarts.
+ * Writes are serialized and atomic (temp file + rename).
+ */
+class FileOutboxStore {
+    /**
+     * @param {string} filePath - Absolute or cwd-relative path of the outbox file
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this._entries = null;
+        this._writeChain = Promise.resolve();
+    }
+
+    async _read() {
+        if (this._entries) return this._entries;
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            this._entries = JSON.parse(content).entries || {};
+        } catch (error) {
+            // Missing or unreadable file: start with an empty outbox
+            this._entries = {};
+        }
+        return this._entries;
+    }
+
+    _persist() {
+        const snapshot = JSON.stringify({ entries: this._entries });
+        const tempPath = `${this.filePath}.tmp`;
+        this._writeChain = this._writeChain
+            .catch(() => {})
+            .then(async () => {
+                await fs.writeFile(tempPath, snapshot, 'utf8');
+                await fs.rename(tempPath, this.filePath);
+            });
+        return this._writeChain;
+    }
+
+    async load() {
+        const entries = await this._read();
+        return Object.values(entries);
+    }
+
+    async save(entry) {
+        const entries = await this._read();
+        entries[entry.id] = entry;
+        return this._persist();
+    }
+
+    async remove(id) {
+        const entries = await this._read();
+        if (!(id in entries)) return;
+        delete entries[id];
+        return this._persist();
+    }
+}
+
+/**
+ * Creates the platform default outbox store
+ * @param {Object} options - SDK options (uses options.outboxPath)
+ * @returns {FileOutboxStore|null}
+ */
+export function createDefaultOutboxStore(options = {}) {
+    if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+        return null;
+    }
+    return new FileOutboxStore(options.outboxPath || DEFAULT_OUTBOX_FILE);
+}
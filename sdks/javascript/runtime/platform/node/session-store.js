@@ -0,0 +1,6 @@
+// Node.js session store - servers keep session IDs in memory unless options.sessionManager.store is given
+// Browser and UMD builds replace this module with ../browser/session-store.js via webpack aliases
+
+export function createDefaultSessionStore() {
+    return null;
+}
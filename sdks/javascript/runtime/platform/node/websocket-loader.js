@@ -1,5 +1,6 @@
 // Node.js WebSocket loader - uses static import for UMD builds
 import ws from 'ws';
+import { resolveProxyUrl, createProxyAgent } from './http-agent.js';
 
 export async function loadNodeWebSocket() {
     // Complete early exit for any browser-like environment
@@ -15,4 +16,42 @@ export async function loadNodeWebSocket() {
 
     // Return statically imported ws module for UMD builds
     return ws;
-}
\ No newline at end of file
+}
+
+// Protocol-level keep-alive using ws ping/pong frames.
+// Returns a function that sends a ping, or null when the socket does not support it.
+export function createNativePinger(socket, onPong) {
+    if (!socket || typeof socket.ping !== 'function' || typeof socket.on !== 'function') {
+        return null;
+    }
+
+    socket.on('pong', onPong);
+    return () => socket.ping();
+}
+
+/**
+ * Builds the third `ws` constructor argument from options.wsOptions (agent, ca, cert/key, headers,
+ * perMessageDeflate, handshakeTimeout, ...). Without an explicit agent, the connection is tunnelled
+ * through options.proxy or HTTPS_PROXY/HTTP_PROXY unless the host matches NO_PROXY.
+ * @param {string} url - WebSocket URL
+ * @param {Object} options - SDK options
+ * @returns {Object|null} Null when there is nothing to forward
+ */
+export function createWebSocketOptions(url, options = {}) {
+    const wsOptions = { ...(options.wsOptions || {}) };
+
+    // The private CA configured for token requests applies to the socket as well
+    if (!wsOptions.ca && options.ca) {
+        wsOptions.ca = options.ca;
+    }
+
+    if (!wsOptions.agent) {
+        const proxyUrl = resolveProxyUrl(url, options.proxy);
+        if (proxyUrl) {
+            // TLS options (ca, cert, key) on wsOptions reach the tunnelled connection through the request
+            wsOptions.agent = createProxyAgent(proxyUrl, /^wss:/i.test(url));
+        }
+    }
+
+    return Object.keys(wsOptions).length > 0 ? wsOptions : null;
+}
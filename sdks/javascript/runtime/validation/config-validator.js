@@ -3,6 +3,14 @@
  * Complements AsyncAPI-generated validators with SDK-specific validation logic
  */
 
+import {
+    ENVIRONMENTS,
+    PRODUCTION_ENVIRONMENT,
+    getEnvironmentPreset,
+    looksLikeProductionClientId
+} from '../core/environments.js';
+import { validateOptionsSchema } from './options-schema.js';
+
 // Client environment detection (extracted from main.js)
 const isClientEnv = () => {
     // Detects browser, mobile, Electron renderer processes - environments where client secrets should NOT be used
@@ -184,6 +192,29 @@ export function validateClientConfig(options) {
     return errors;
 }
 
+/**
+ * Validates the environment preset and catches production credentials aimed at other environments
+ * @param {Object} options - SDK options
+ * @returns {Array} Array of validation errors (empty if valid)
+ */
+export function validateEnvironmentConfig(options) {
+    const errors = [];
+    // Unknown environments are reported by the options schema
+    if (!ENVIRONMENTS.includes(options.environment)) return errors;
+
+    if (options.environment !== PRODUCTION_ENVIRONMENT && looksLikeProductionClientId(options.clientId)) {
+        errors.push({
+            type: 'warning',
+            code: 'ENVIRONMENT_CLIENT_MISMATCH',
+            message: `clientId "${options.clientId}" looks like a production client but environment is "${options.environment}"; ` +
+                'authentication will likely fail or hit the wrong tenant.',
+            field: 'environment'
+        });
+    }
+
+    return errors;
+}
+
 /**
  * Validates required configuration options
  * @param {Object} options - SDK options
@@ -192,7 +223,17 @@ export function validateClientConfig(options) {
 export function validateRequiredOptions(options) {
     const errors = [];
 
-    if (!options.websocketUrl || typeof options.websocketUrl !== 'string') {
+    // websocketUrl: a single URL, an ordered failover list, or a resolver function (types are checked by
+    // the options schema); an environment preset provides it when unset
+    const websocketUrl = options.websocketUrl;
+    if (Array.isArray(websocketUrl) && websocketUrl.length === 0) {
+        errors.push({
+            type: 'warning',
+            code: 'MISSING_WEBSOCKET_URL',
+            message: 'websocketUrl is an empty list; openConnection() will emit an error.',
+            field: 'websocketUrl'
+        });
+    } else if ((websocketUrl === undefined || websocketUrl === null || websocketUrl === '') && !options.environment) {
         errors.push({
             type: 'warning',
             code: 'MISSING_WEBSOCKET_URL',
@@ -210,6 +251,15 @@ export function validateRequiredOptions(options) {
  * @returns {Object} The options object with defaults applied
  */
 export function setSmartDefaults(options) {
+    // environment preset: derive connection URLs and transport; explicitly set options win
+    const preset = getEnvironmentPreset(options.environment, options.clientIdentifier);
+    if (preset) {
+        if (!options.websocketUrl) options.websocketUrl = preset.websocketUrl;
+        // Only clients that authenticate() with credentials need the token endpoint
+        if (!options.authenticationUrl && options.clientId) options.authenticationUrl = preset.authenticationUrl;
+        if (!options.authTransport) options.authTransport = preset.authTransport;
+    }
+
     // strictValidation: when true (default in non-production), run schema validation; when false, skip for performance.
     if (typeof options.strictValidation === 'undefined') {
         const env = (typeof process !== 'undefined' && process.env && process.env.NODE_ENV) ? process.env.NODE_ENV : 'development';
@@ -221,11 +271,74 @@ export function setSmartDefaults(options) {
         options.requestTimeoutMs = 30000; // 30 seconds default (matches CONSTANTS.DEFAULT_REQUEST_TIMEOUT_MS)
     }
 
+    // Client credentials grant: send credentials in the form body (default) or an HTTP Basic header
+    if (!options.clientAuthMethod) {
+        options.clientAuthMethod = 'client_secret_post';
+    }
+
+    // Abort the token request made by authenticate() after this many ms (0 = no timeout)
+    if (typeof options.authTimeoutMs !== 'number') {
+        options.authTimeoutMs = 10000; // matches CONSTANTS.DEFAULT_AUTH_TIMEOUT_MS
+    }
+
     // Default connection timeout (ms) for WebSocket connection establishment
     if (typeof options.connectionTimeoutMs !== 'number') {
         options.connectionTimeoutMs = 30000; // 30 seconds default for connection establishment
     }
 
+    // Automatic reconnection is opt-in: retryAttempts caps the number of reconnect attempts (0 = disabled)
+    if (typeof options.retryAttempts !== 'number') {
+        options.retryAttempts = 0;
+    }
+
+    // Base delay (ms) for exponential reconnect backoff and the upper bound for a single delay
+    if (typeof options.retryDelay !== 'number') {
+        options.retryDelay = 1000; // matches CONSTANTS.DEFAULT_RETRY_DELAY_MS
+    }
+    if (typeof options.retryMaxDelayMs !== 'number') {
+        options.retryMaxDelayMs = 30000; // matches CONSTANTS.DEFAULT_RETRY_MAX_DELAY_MS
+    }
+
+    // Outbound queue used while connecting/reconnecting (queueMaxSize 0 = disabled)
+    if (typeof options.queueMaxSize !== 'number') {
+        options.queueMaxSize = 100; // matches CONSTANTS.DEFAULT_QUEUE_MAX_SIZE
+    }
+    if (!options.queueOverflow) {
+        options.queueOverflow = 'reject-newest';
+    }
+    if (typeof options.queueEntryTtlMs !== 'number') {
+        options.queueEntryTtlMs = 30000; // queued messages expire if the socket does not open in time
+    }
+
+    // Application-level heartbeat: interval between beats (0 = disabled) and missed beats tolerated before the socket is declared dead
+    if (typeof options.heartbeatIntervalMs !== 'number') {
+        options.heartbeatIntervalMs = 0;
+    }
+    if (typeof options.heartbeatMaxMissed !== 'number') {
+        options.heartbeatMaxMissed = 2; // matches CONSTANTS.DEFAULT_HEARTBEAT_MAX_MISSED
+    }
+
+    // Durable outbox (opt-in): true = platform default store, or a custom { load, save, remove } store
+    if (typeof options.outbox === 'undefined') {
+        options.outbox = false;
+    }
+    if (typeof options.outboxMaxAgeMs !== 'number') {
+        options.outboxMaxAgeMs = 86400000; // matches CONSTANTS.DEFAULT_OUTBOX_MAX_AGE_MS (24h)
+    }
+
+    // Endpoint failover: while connected to a fallback websocketUrl, check the preferred one this often (0 = never)
+    if (typeof options.failbackIntervalMs !== 'number') {
+        options.failbackIntervalMs = 300000; // matches CONSTANTS.DEFAULT_FAILBACK_INTERVAL_MS (5 minutes)
+    }
+
+    // Token lifecycle: refresh tokens with a known expiry this long before they lapse and reconnect with the new one
+    if (typeof options.autoRefreshToken === 'undefined') {
+        options.autoRefreshToken = true;
+    }
+    if (typeof options.tokenRefreshSkewMs !== 'number') {
+        options.tokenRefreshSkewMs = 60000; // matches CONSTANTS.DEFAULT_TOKEN_REFRESH_SKEW_MS
+    }
+
     // Provide safe no-op logger interface if not supplied (debug/info/warn/error)
     if (!options.logger) {
         options.logger = { debug(){}, info(){}, warn(){}, error(){} };
@@ -250,10 +363,15 @@ export function setSmartDefaults(options) {
         options.tokenProvider = async () => {
             const headers = {};
             if (options.publishableKey) headers['X-Optave-Publishable-Key'] = options.publishableKey;
-            const r = await fetch(url, { method: 'POST', credentials: 'include', headers });
+            const fetchImpl = typeof options.fetch === 'function' ? options.fetch : fetch;
+            const r = await fetchImpl(url, { method: 'POST', credentials: 'include', headers });
                 if (!r.ok) throw new Error('Failed to obtain WS token');
                 const data = await r.json();
-                return data.token || data.access_token;
+                const token = data.token || data.access_token;
+                // Pass the expiry along so the SDK can cache the token and refresh it before it lapses
+                if (data.expiresAt) return { token, expiresAt: data.expiresAt };
+                if (typeof data.expires_in === 'number') return { token, expiresAt: Date.now() + data.expires_in * 1000 };
+                return token;
             };
     }
 
@@ -273,12 +391,14 @@ export function validateSDKConfig(options) {
     };
 
     // Run all validation checks
+    const schemaErrors = validateOptionsSchema(options);
     const requiredErrors = validateRequiredOptions(options);
     const serverErrors = validateServerConfig(options);
     const clientErrors = validateClientConfig(options);
+    const environmentErrors = validateEnvironmentConfig(options);
 
     // Collect all validation results
-    const allErrors = [...requiredErrors, ...serverErrors, ...clientErrors];
+    const allErrors = [...schemaErrors, ...requiredErrors, ...serverErrors, ...clientErrors, ...environmentErrors];
 
     // Separate errors from warnings
     for (const error of allErrors) {
@@ -293,5 +413,8 @@ export function validateSDKConfig(options) {
     return result;
 }
 
+// Public name for validating options without creating an SDK instance (same checks as the constructor)
+export { validateSDKConfig as validateOptions };
+
 // Export environment detection utility for use in other modules
 export { isClientEnv };
\ No newline at end of file
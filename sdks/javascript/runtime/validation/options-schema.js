@@ -0,0 +1,331 @@
+/**
+ * Declarative schema for the OptaveJavaScriptSDK constructor options
+ * Mirrors the Opts type in runtime/core/types.ts - add new options to both.
+ */
+
+import { ENVIRONMENTS, CLIENT_IDENTIFIER_PATTERN } from '../core/environments.js';
+import { MAX_TIMER_DELAY_MS, CHANNEL_METADATA_FIELDS } from '../core/constants.js';
+import { DEFAULT_CONFIG } from '../../generated/connection-config.js';
+
+// Same values as the generated AuthTransport type
+const AUTH_TRANSPORTS = DEFAULT_CONFIG.supportedAuthTransports;
+
+// How client credentials are presented to the token endpoint (RFC 6749 section 2.3.1)
+export const CLIENT_AUTH_METHODS = ['client_secret_post', 'client_secret_basic'];
+
+// Timeouts below this many ms were most likely meant as seconds
+const SUSPICIOUS_TIMEOUT_MS = 100;
+
+const duration = (extra = {}) => ({ type: 'number', min: 0, max: MAX_TIMER_DELAY_MS, ...extra });
+const timeout = () => duration({ warnBelow: SUSPICIOUS_TIMEOUT_MS });
+const count = (min = 0) => ({ type: 'number', integer: true, min });
+
+/**
+ * Rule fields:
+ * - type: 'string' | 'number' | 'boolean' | 'function' | 'object' | 'array' (or a list of them)
+ * - enum, min, max, integer, minLength: value constraints (enum only checks string values)
+ * - pattern: RegExp a string value must match
+ * - items: rule applied to every array entry; methods: functions an object must provide
+ * - properties: rules for the keys of a nested object (other keys produce UNKNOWN_OPTION warnings)
+ * - required: keys a nested object must set; values: rule applied to every value of an object
+ * - warnBelow: positive numbers below this only produce a warning
+ * - code / message: override the generic error for this option
+ */
+export const OPTIONS_SCHEMA = Object.freeze({
+    // Connection
+    websocketUrl: {
+        type: ['string', 'array', 'function'],
+        items: { type: 'string', minLength: 1, code: 'INVALID_WEBSOCKET_URL' }
+    },
+    environment: { type: 'string', enum: ENVIRONMENTS, code: 'INVALID_ENVIRONMENT' },
+    clientIdentifier: {
+        type: 'string',
+        pattern: CLIENT_IDENTIFIER_PATTERN,
+        code: 'INVALID_CLIENT_IDENTIFIER',
+        message: 'clientIdentifier must be a subdomain label: letters, digits and inner hyphens.'
+    },
+    failbackIntervalMs: duration(),
+    connectionTimeoutMs: timeout(),
+    WebSocketImpl: { type: 'function' },
+    wsOptions: {
+        type: 'object',
+        code: 'INVALID_WS_OPTIONS',
+        message: 'wsOptions must be an object of ws client options.'
+    },
+
+    // Generated connection config (GeneratedClientConfig)
+    authUrl: { type: 'string' },
+    supportedAuthTransports: { type: 'array', items: { type: 'string', enum: AUTH_TRANSPORTS } },
+    OptaveTraceChatSessionId: { type: 'string' },
+
+    // WebSocket token
+    tokenProvider: { type: 'function' },
+    tokenUrl: { type: 'string' },
+    publishableKey: { type: 'string' },
+    autoRefreshToken: { type: 'boolean' },
+    tokenRefreshSkewMs: duration(),
+    authTransport: { type: 'string', enum: AUTH_TRANSPORTS },
+    authRequired: { type: 'boolean' },
+
+    // Client credentials (server only)
+    authenticationUrl: { type: 'string' },
+    clientId: { type: 'string' },
+    clientSecret: { type: 'string' },
+    clientAuthMethod: { type: 'string', enum: CLIENT_AUTH_METHODS, code: 'INVALID_CLIENT_AUTH_METHOD' },
+    scope: { type: ['string', 'array'], items: { type: 'string' } },
+    audience: { type: 'string' },
+    authTimeoutMs: timeout(),
+
+    // HTTP
+    fetch: {
+        type: 'function',
+        code: 'INVALID_FETCH',
+        message: 'fetch must be a function compatible with the Fetch API.'
+    },
+    httpAgent: { type: 'object' },
+    proxy: { type: 'string' },
+    ca: { type: ['string', 'object', 'array'] },
+
+    // Behavior
+    strictValidation: { type: 'boolean' },
+    cspSafe: { type: 'boolean' },
+    requestTimeoutMs: timeout(),
+    logger: { type: 'object' }, // partial loggers are fine: missing methods fall back to console
+    debug: { type: 'boolean' },
+
+    // Tenant/organization
+    tenantId: { type: 'string' },
+    organizationId: { type: 'string' },
+
+    // Payload defaults
+    departmentId: { type: 'string' },
+    operatorId: { type: 'string' },
+    userId: { type: 'string' },
+    sessionDefaults: {
+        type: 'object',
+        properties: {
+            interface: { type: 'object' },
+            channel: { type: 'object' }
+        }
+    },
+    sessionManager: {
+        type: ['boolean', 'object'],
+        properties: {
+            store: { type: 'object', methods: ['getItem', 'setItem', 'removeItem'] },
+            storageKey: { type: 'string', minLength: 1 },
+            inactivityTimeoutMs: duration()
+        }
+    },
+    channelMetadata: {
+        type: ['boolean', 'object'],
+        properties: {
+            exclude: { type: 'array', items: { type: 'string', enum: CHANNEL_METADATA_FIELDS } },
+            geolocation: { type: 'function' }
+        }
+    },
+    mergeStrategies: {
+        type: 'object',
+        values: {
+            type: ['string', 'object'],
+            enum: ['replace', 'append'],
+            properties: { mergeBy: { type: 'string', minLength: 1 } },
+            required: ['mergeBy']
+        }
+    },
+    pruneEmptyDefaults: { type: 'boolean' },
+    fitPayload: { type: 'boolean' },
+
+    // Reconnection
+    retryAttempts: count(),
+    retryDelay: duration(),
+    retryMaxDelayMs: duration(),
+
+    // Outbound queue
+    queueMaxSize: count(),
+    queueOverflow: { type: 'string', enum: ['reject-oldest', 'reject-newest', 'block'] },
+    queueEntryTtlMs: duration(),
+
+    // Heartbeat
+    heartbeatIntervalMs: duration(),
+    heartbeatMaxMissed: count(1),
+
+    // Durable outbox
+    outbox: { type: ['boolean', 'object'], methods: ['load', 'save', 'remove'] },
+    outboxPath: { type: 'string' },
+    outboxMaxAgeMs: duration()
+});
+
+const issue = (type, code, message, field, extra = {}) => ({ type, code, message, field, ...extra });
+
+const typeOf = value => (Array.isArray(value) ? 'array' : typeof value);
+
+const describeValue = value => {
+    if (typeof value === 'string') return `"${value}" (string)`;
+    if (typeof value === 'function') return 'a function';
+    if (Array.isArray(value)) return 'an array';
+    return typeof value === 'object' ? 'an object' : `${value} (${typeof value})`;
+};
+
+const describeTypes = types => types.map(type => (type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`)).join(' or ');
+
+// Levenshtein distance, case-insensitive
+const editDistance = (a, b) => {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Closest candidate to a misspelled name, or null when nothing is close enough
+ * @param {string} name
+ * @param {string[]} candidates
+ * @returns {string|null}
+ */
+export function suggestClosest(name, candidates) {
+    const maxDistance = Math.max(2, Math.floor(name.length / 3));
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = editDistance(name, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= maxDistance ? best : null;
+}
+
+function checkValue(path, value, rule, issues) {
+    const types = [].concat(rule.type);
+    const actual = typeOf(value);
+
+    if (!types.includes(actual) || (actual === 'number' && !Number.isFinite(value))) {
+        issues.push(issue(
+            'error',
+            rule.code || 'INVALID_OPTION_TYPE',
+            rule.message || `${path} must be ${describeTypes(types)}, got ${describeValue(value)}.`,
+            path
+        ));
+        return;
+    }
+
+    if (rule.enum && actual === 'string' && !rule.enum.includes(value)) {
+        const suggestion = suggestClosest(value, rule.enum);
+        issues.push(issue(
+            'error',
+            rule.code || 'INVALID_OPTION_VALUE',
+            `${path} must be one of: ${rule.enum.join(', ')}; got ${describeValue(value)}.` +
+                (suggestion ? ` Did you mean "${suggestion}"?` : ''),
+            path,
+            suggestion ? { suggestion } : {}
+        ));
+        return;
+    }
+
+    if (actual === 'string' && rule.minLength && value.length < rule.minLength) {
+        issues.push(issue('error', rule.code || 'INVALID_OPTION_VALUE', `${path} must not be empty.`, path));
+    }
+
+    if (actual === 'string' && rule.pattern && !rule.pattern.test(value)) {
+        issues.push(issue(
+            'error',
+            rule.code || 'INVALID_OPTION_VALUE',
+            rule.message || `${path} has an invalid format, got ${describeValue(value)}.`,
+            path
+        ));
+    }
+
+    if (actual === 'number') {
+        if (rule.integer && !Number.isInteger(value)) {
+            issues.push(issue('error', 'INVALID_OPTION_VALUE', `${path} must be a whole number, got ${value}.`, path));
+        } else if (rule.min !== undefined && value < rule.min) {
+            issues.push(issue('error', 'OPTION_OUT_OF_RANGE', `${path} must be at least ${rule.min}, got ${value}.`, path));
+        } else if (rule.max !== undefined && value > rule.max) {
+            issues.push(issue('error', 'OPTION_OUT_OF_RANGE', `${path} must be at most ${rule.max}, got ${value}.`, path));
+        } else if (rule.warnBelow && value > 0 && value < rule.warnBelow) {
+            issues.push(issue(
+                'warning',
+                'SUSPICIOUS_OPTION_VALUE',
+                `${path} is ${value} ms; values are in milliseconds (did you mean ${value * 1000}?).`,
+                path
+            ));
+        }
+    }
+
+    if (actual === 'array' && rule.items) {
+        value.forEach((item, index) => checkValue(`${path}[${index}]`, item, rule.items, issues));
+    }
+
+    if (actual === 'object' && rule.methods) {
+        for (const method of rule.methods) {
+            if (typeof value[method] !== 'function') {
+                issues.push(issue('error', 'INVALID_OPTION_TYPE', `${path}.${method} must be a function.`, `${path}.${method}`));
+            }
+        }
+    }
+
+    if (actual === 'object' && rule.required) {
+        for (const key of rule.required) {
+            if (value[key] === undefined || value[key] === null) {
+                issues.push(issue('error', 'INVALID_OPTION_VALUE', `${path}.${key} is required.`, `${path}.${key}`));
+            }
+        }
+    }
+
+    if (actual === 'object' && rule.properties) {
+        checkProperties(path, value, rule.properties, issues);
+    }
+
+    // Objects keyed by caller-chosen names (e.g. mergeStrategies paths): one rule for every value
+    if (actual === 'object' && rule.values) {
+        for (const [key, entry] of Object.entries(value)) {
+            checkValue(`${path}.${key}`, entry, rule.values, issues);
+        }
+    }
+}
+
+function checkProperties(prefix, object, rules, issues) {
+    const knownKeys = Object.keys(rules);
+
+    for (const [key, value] of Object.entries(object)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const rule = rules[key];
+        if (!rule) {
+            const suggestion = suggestClosest(key, knownKeys);
+            issues.push(issue(
+                'warning',
+                'UNKNOWN_OPTION',
+                `Unknown option "${path}" is ignored.` + (suggestion ? ` Did you mean "${suggestion}"?` : ''),
+                path,
+                suggestion ? { suggestion } : {}
+            ));
+            continue;
+        }
+        if (value === undefined || value === null) continue;
+        checkValue(path, value, rule, issues);
+    }
+}
+
+/**
+ * Checks every option against OPTIONS_SCHEMA: types, allowed values and ranges are errors,
+ * unknown keys are warnings with a "did you mean" hint. Unset (undefined/null) options are skipped.
+ * @param {Object} options - SDK options as passed to the constructor
+ * @returns {Array} Validation issues `{ type, code, message, field, suggestion? }`
+ */
+export function validateOptionsSchema(options) {
+    const issues = [];
+    checkProperties('', options, OPTIONS_SCHEMA, issues);
+    return issues;
+}
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Emits generated/actions.js: the superpower actions of the AsyncAPI spec and the payload
+ * rules the spec attaches to them.
+ *
+ * - Action names: the enum of MessageEnvelope headers.action
+ * - Rules: MessageEnvelope.allOf entries of the form
+ *     if: { properties: { headers: { properties: { action: { enum: [...] } } } } }
+ *     then: { properties: { payload: { $ref: <schema> } } }
+ *   where the referenced schema's required properties become `required` paths and its arrays
+ *   with minItems >= 1 become `nonEmptyArrays` paths (relative to the request params)
+ *
+ * runtime/core/constants.js adds the SDK rules the spec does not express (ACTION_DEFINITIONS).
+ *
+ * Usage: node scripts/generation/generate-actions.cjs [path/to/asyncapi.yaml]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const specPath = path.resolve(process.argv[2] || path.join(__dirname, '../../../../config/specs/asyncapi.yaml'));
+const outputPath = path.resolve(__dirname, '../../generated/actions.js');
+
+function resolveRef(spec, schema) {
+    if (!schema || !schema.$ref) return schema;
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], spec);
+    if (!target) throw new Error(`Unresolved $ref ${schema.$ref}`);
+    return resolveRef(spec, target);
+}
+
+// Required leaf properties and non-empty arrays of `schema`, as dot-separated paths.
+// The base Payload schema is skipped: the SDK fills its required fields (session, requestId) itself.
+function collectRules(spec, schema, prefix, rules) {
+    const resolved = resolveRef(spec, schema);
+    if (!resolved) return rules;
+
+    for (const part of resolved.allOf || []) {
+        if (part.$ref && part.$ref.endsWith('/Payload')) continue;
+        collectRules(spec, part, prefix, rules);
+    }
+
+    const properties = resolved.properties || {};
+    for (const name of resolved.required || []) {
+        const property = resolveRef(spec, properties[name]);
+        const propertyPath = prefix ? `${prefix}.${name}` : name;
+        if (property?.type === 'array' && property.minItems >= 1) {
+            rules.nonEmptyArrays.push(propertyPath);
+        } else if (property?.type === 'object' || property?.properties) {
+            collectRules(spec, property, propertyPath, rules);
+        } else {
+            rules.required.push(propertyPath);
+        }
+    }
+    return rules;
+}
+
+function main() {
+    if (!fs.existsSync(specPath)) {
+        console.error(`❌ Spec not found: ${specPath}`);
+        process.exit(1);
+    }
+    const spec = YAML.parse(fs.readFileSync(specPath, 'utf8'));
+    const envelope = spec.components?.schemas?.MessageEnvelope;
+    const actions = envelope?.properties?.headers?.properties?.action?.enum;
+    if (!Array.isArray(actions) || actions.length === 0) {
+        console.error('❌ MessageEnvelope headers.action enum not found in the spec');
+        process.exit(1);
+    }
+
+    const definitions = Object.fromEntries(actions.map(action => [action, { required: [], nonEmptyArrays: [] }]));
+    for (const part of envelope.allOf || []) {
+        const conditionActions = part.if?.properties?.headers?.properties?.action?.enum;
+        const payloadSchema = part.then?.properties?.payload;
+        if (!Array.isArray(conditionActions) || !payloadSchema) continue;
+
+        const rules = collectRules(spec, payloadSchema, '', { required: [], nonEmptyArrays: [] });
+        for (const conditionAction of conditionActions) {
+            // The spec spells the legacy customerInteraction both ways; match like the SDK does
+            const action = actions.find(name => name.toLowerCase() === conditionAction.toLowerCase());
+            if (!action) continue;
+            definitions[action].required.push(...rules.required.filter(p => !definitions[action].required.includes(p)));
+            definitions[action].nonEmptyArrays.push(...rules.nonEmptyArrays.filter(p => !definitions[action].nonEmptyArrays.includes(p)));
+        }
+    }
+
+    const list = paths => `[${paths.map(p => `'${p}'`).join(', ')}]`;
+    const entries = Object.entries(definitions)
+        .map(([action, rules]) => `    ${action}: { required: ${list(rules.required)}, nonEmptyArrays: ${list(rules.nonEmptyArrays)} }`)
+        .join(',\n');
+    const content = `// AUTO-GENERATED FILE. DO NOT EDIT.
+// Source: config/specs/asyncapi.yaml (info.version: ${spec.info?.version})
+
+// Superpower actions (MessageEnvelope headers.action) and the payload rules the spec attaches to
+// them (dot-separated paths relative to the request params)
+export const SPEC_ACTIONS = Object.freeze({
+${entries}
+});
+`;
+    fs.writeFileSync(outputPath, content, 'utf8');
+    console.log(`✅ Wrote ${path.relative(process.cwd(), outputPath)} (${actions.length} actions)`);
+}
+
+main();
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Emits generated/connection-config.js, the JavaScript counterpart of the spec-derived
+ * generated/connection-config.ts, so the runtime can import SERVER_ENVIRONMENTS,
+ * buildWebSocketUrl() and buildAuthUrl() instead of copying them.
+ *
+ * Runs after spec:types (which writes the .ts file); type-only declarations are erased.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+const generatedDir = path.resolve(__dirname, '../../generated');
+const sourcePath = path.join(generatedDir, 'connection-config.ts');
+const outputPath = path.join(generatedDir, 'connection-config.js');
+
+function main() {
+    if (!fs.existsSync(sourcePath)) {
+        console.error(`❌ ${path.relative(process.cwd(), sourcePath)} not found; run "npm run spec:types" first`);
+        process.exit(1);
+    }
+
+    const source = fs.readFileSync(sourcePath, 'utf8');
+    const { outputText, diagnostics } = ts.transpileModule(source, {
+        fileName: 'connection-config.ts',
+        reportDiagnostics: true,
+        compilerOptions: {
+            target: ts.ScriptTarget.ES2020,
+            module: ts.ModuleKind.ESNext,
+            removeComments: false,
+        },
+    });
+
+    if (diagnostics && diagnostics.length > 0) {
+        for (const diagnostic of diagnostics) {
+            console.error(`❌ ${ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')}`);
+        }
+        process.exit(1);
+    }
+
+    // The source header already says where the file comes from; the runtime imports this file
+    const header = '// AUTO-GENERATED FILE. DO NOT EDIT.\n// Source: generated/connection-config.ts (npm run spec:connection-config)\n\n';
+    fs.writeFileSync(outputPath, header + outputText.trimEnd() + '\n', 'utf8');
+    console.log(`✅ Wrote ${path.relative(process.cwd(), outputPath)}`);
+}
+
+main();
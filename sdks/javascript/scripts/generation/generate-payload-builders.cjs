@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Emits the setters of the fluent payload builders (sdk.build.<action>()) from the Payload
+ * schema of the AsyncAPI spec:
+ * - generated/payload-builders.js: setter name -> path in the request params
+ * - generated/payload-builders.d.ts: the value type each setter accepts
+ *
+ * Setters, in this order (a name already taken is skipped):
+ * 1. `session` and one per `request` property (requestId, attributes, connections, scope, ...)
+ * 2. one per field of those sections, e.g. content (request.attributes.content),
+ *    threadId (request.connections.threadId), offers (request.resources.offers)
+ *
+ * Usage: node scripts/generation/generate-payload-builders.cjs [path/to/asyncapi.yaml]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const specPath = path.resolve(process.argv[2] || path.join(__dirname, '../../../../config/specs/asyncapi.yaml'));
+const generatedDir = path.resolve(__dirname, '../../generated');
+
+function resolveRef(spec, schema) {
+    if (!schema || !schema.$ref) return schema;
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], spec);
+    if (!target) throw new Error(`Unresolved $ref ${schema.$ref}`);
+    return resolveRef(spec, target);
+}
+
+// TypeScript type of a JSON schema, with $refs inlined
+function tsType(spec, schema, indent = '  ') {
+    const resolved = resolveRef(spec, schema);
+    if (!resolved) return 'unknown';
+    if (Array.isArray(resolved.enum)) {
+        return resolved.enum.map(value => JSON.stringify(value)).join(' | ');
+    }
+    switch (resolved.type) {
+        case 'string':
+            return 'string';
+        case 'boolean':
+            return 'boolean';
+        case 'number':
+        case 'integer':
+            return 'number';
+        case 'array':
+            return `Array<${tsType(spec, resolved.items, indent)}>`;
+        default: {
+            const properties = Object.entries(resolved.properties || {});
+            if (properties.length === 0) return 'Record<string, unknown>';
+            const required = new Set(resolved.required || []);
+            const inner = `${indent}  `;
+            const members = properties.map(([name, property]) =>
+                `${inner}${name}${required.has(name) ? '' : '?'}: ${tsType(spec, property, inner)};`);
+            return `{\n${members.join('\n')}\n${indent}}`;
+        }
+    }
+}
+
+function collectSetters(spec) {
+    const payload = resolveRef(spec, spec.components?.schemas?.Payload);
+    const request = resolveRef(spec, payload?.properties?.request);
+    if (!request?.properties) {
+        throw new Error('Payload request schema not found in the spec');
+    }
+
+    const sections = [['session', ['session'], payload.properties.session]];
+    for (const [name, schema] of Object.entries(request.properties)) {
+        sections.push([name, ['request', name], schema]);
+    }
+
+    const setters = new Map();
+    for (const [name, fieldPath, schema] of sections) {
+        setters.set(name, { path: fieldPath, schema });
+    }
+    for (const [, sectionPath, schema] of sections) {
+        const section = resolveRef(spec, schema);
+        for (const [name, field] of Object.entries(section?.properties || {})) {
+            if (!setters.has(name)) {
+                setters.set(name, { path: [...sectionPath, name], schema: field });
+            }
+        }
+    }
+    return setters;
+}
+
+function main() {
+    if (!fs.existsSync(specPath)) {
+        console.error(`❌ Spec not found: ${specPath}`);
+        process.exit(1);
+    }
+    const spec = YAML.parse(fs.readFileSync(specPath, 'utf8'));
+    const setters = collectSetters(spec);
+    const header = `// AUTO-GENERATED FILE. DO NOT EDIT.
+// Source: config/specs/asyncapi.yaml (info.version: ${spec.info?.version})
+`;
+
+    const paths = [...setters].map(([name, { path: fieldPath }]) =>
+        `    ${name}: [${fieldPath.map(key => `'${key}'`).join(', ')}]`);
+    fs.writeFileSync(path.join(generatedDir, 'payload-builders.js'), `${header}
+// Payload builder setters: name -> path in the request params (sections and their fields)
+export const BUILDER_SETTERS = Object.freeze({
+${paths.join(',\n')}
+});
+`, 'utf8');
+
+    const values = [...setters].map(([name, { path: fieldPath, schema }]) =>
+        `  /** ${fieldPath.join('.')} */\n  ${name}: ${tsType(spec, schema)};`);
+    fs.writeFileSync(path.join(generatedDir, 'payload-builders.d.ts'), `${header}
+// Value accepted by each payload builder setter
+export interface BuilderSetterValues {
+${values.join('\n')}
+}
+
+export declare const BUILDER_SETTERS: Readonly<Record<keyof BuilderSetterValues, readonly string[]>>;
+`, 'utf8');
+
+    console.log(`✅ Wrote generated/payload-builders.js and .d.ts (${setters.size} setters)`);
+}
+
+main();
@@ -19,6 +19,16 @@ export const browserAliases = {
     [path.resolve('./runtime/core/errors.js')]: path.resolve('./runtime/platform/browser/errors.js'),
     // Replace Node.js WebSocket loader with browser implementation
     '../platform/node/websocket-loader.js': path.resolve('./runtime/platform/browser/websocket-loader.js'),
+    // Replace file-backed outbox store with IndexedDB/localStorage implementation
+    '../platform/node/outbox-store.js': path.resolve('./runtime/platform/browser/outbox-store.js'),
+    // Replace Node.js HTTP agent/proxy support with browser stub
+    '../platform/node/http-agent.js': path.resolve('./runtime/platform/browser/http-agent.js'),
+    // Replace environment/config file loader with browser stub
+    '../platform/node/config-loader.js': path.resolve('./runtime/platform/browser/config-loader.js'),
+    // Replace no-op channel metadata collector with navigator/viewport implementation
+    '../platform/node/channel-metadata.js': path.resolve('./runtime/platform/browser/channel-metadata.js'),
+    // Replace in-memory session store with sessionStorage
+    '../platform/node/session-store.js': path.resolve('./runtime/platform/browser/session-store.js'),
 };
 
 /**
@@ -32,6 +42,16 @@ export const umdAliases = {
     '../platform/browser/validators.js': path.resolve('./runtime/platform/browser/validators.js'),
     // Replace Node.js WebSocket loader with browser implementation since UMD runs in browser
     '../platform/node/websocket-loader.js': path.resolve('./runtime/platform/browser/websocket-loader.js'),
+    // Replace file-backed outbox store with IndexedDB/localStorage implementation
+    '../platform/node/outbox-store.js': path.resolve('./runtime/platform/browser/outbox-store.js'),
+    // Replace Node.js HTTP agent/proxy support with browser stub
+    '../platform/node/http-agent.js': path.resolve('./runtime/platform/browser/http-agent.js'),
+    // Replace environment/config file loader with browser stub
+    '../platform/node/config-loader.js': path.resolve('./runtime/platform/browser/config-loader.js'),
+    // Replace no-op channel metadata collector with navigator/viewport implementation
+    '../platform/node/channel-metadata.js': path.resolve('./runtime/platform/browser/channel-metadata.js'),
+    // Replace in-memory session store with sessionStorage
+    '../platform/node/session-store.js': path.resolve('./runtime/platform/browser/session-store.js'),
 };
 
 /**
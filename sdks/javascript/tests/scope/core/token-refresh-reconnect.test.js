@@ -0,0 +1,62 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import WebSocket, { WebSocketServer } from 'ws';
+import OptaveJavaScriptSDK from '../../../runtime/core/main.js';
+import { TokenManager, TokenSource } from '../../../runtime/core/token-manager.js';
+
+describe('TokenManager', () => {
+    it('keeps the cached record when a fetch returns no token', async () => {
+        const manager = new TokenManager();
+        manager.set({ access_token: 'first', expires_in: 3600 }, TokenSource.AUTHENTICATE);
+
+        await expect(manager.fetch(async () => null, TokenSource.AUTHENTICATE)).resolves.toBeNull();
+        expect(manager.current).toMatchObject({ token: 'first', source: TokenSource.AUTHENTICATE });
+    });
+});
+
+describe('token refresh failure followed by a reconnect', () => {
+    let sdk;
+    let server;
+
+    afterEach(async () => {
+        sdk?.cleanup();
+        await new Promise(resolve => (server ? server.close(resolve) : resolve()));
+    });
+
+    it('re-authenticates with client credentials instead of falling back to tokenProvider()', async () => {
+        server = new WebSocketServer({ port: 0 });
+        await new Promise(resolve => server.once('listening', resolve));
+        const tokens = [];
+        server.on('connection', (socket, request) => {
+            tokens.push(request.headers['sec-websocket-protocol']);
+        });
+
+        sdk = new OptaveJavaScriptSDK({
+            websocketUrl: `ws://localhost:${server.address().port}`,
+            retryAttempts: 3,
+            retryDelay: 10,
+            retryMaxDelayMs: 20,
+            WebSocketImpl: WebSocket,
+        });
+        sdk.on('error', () => {});
+        const tokenProvider = vi.spyOn(sdk.options, 'tokenProvider');
+        sdk._requestAccessToken = vi.fn()
+            .mockResolvedValueOnce({ access_token: 'first', expires_in: 3600 })
+            .mockResolvedValueOnce(null) // the refresh fails
+            .mockResolvedValue({ access_token: 'second', expires_in: 3600 });
+
+        await sdk.openConnection(await sdk.authenticate());
+        await vi.waitFor(() => expect(tokens).toHaveLength(1));
+
+        await sdk._refreshToken();
+        expect(sdk._tokenManager.current.source).toBe(TokenSource.AUTHENTICATE);
+
+        // The server drops the connection; the reconnect has to authenticate again
+        const reconnected = new Promise(resolve => sdk.once('reconnected', resolve));
+        server.clients.forEach(client => client.terminate());
+        await reconnected;
+
+        expect(tokenProvider).not.toHaveBeenCalled();
+        expect(sdk._requestAccessToken).toHaveBeenCalledTimes(3);
+        expect(tokens[1]).toContain('second');
+    });
+});
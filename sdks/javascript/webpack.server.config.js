@@ -39,6 +39,9 @@ export default {
         'crypto': 'crypto',
         'fs': 'fs',
         'path': 'path',
+        'http': 'http',
+        'https': 'https',
+        'tls': 'tls',
         'util': 'util',
         'buffer': 'buffer',
         'stream': 'stream',